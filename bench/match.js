@@ -0,0 +1,100 @@
+/**
+ * Times how long the background page takes to look up the tamper entries
+ * of a request, with many entries added.
+ *
+ * Usage: node bench/match.js [entries] [background.js]
+ *
+ * The background page is run as by test/load.js. Giving the path of another
+ * background.js (e.g. one checked out with git show) compares versions.
+ */
+
+"use strict";
+
+var path = require("path");
+var loadBackground = require("../test/load").loadBackground;
+
+var entryCount = Number(process.argv[2] || 1000);
+var backgroundPath =
+    process.argv[3] || path.join(__dirname, "..", "ext", "background.js");
+var requestCount = 1000;
+var rounds = 5;
+
+/**
+ * Adds global entries of the kinds pages tend to add: host anchored regexes,
+ * exact urls, regexes for scripts of a cdn and entries with a condition,
+ * every seventh of them merging. A few regexes match on any host.
+ * @param  {TamperStore} tamperState
+ */
+function addEntries(tamperState) {
+  for (var i = 0; i < entryCount; i++) {
+    var entry;
+    switch (i % 4) {
+    case 0:
+      entry = {
+        regexes : [ [ "^https?://host" + i + "\\.example\\.com/api/" ] ]
+      };
+      break;
+    case 1:
+      entry = {urls : [ "https://host" + i + ".example.com/x" ]};
+      break;
+    case 2:
+      entry = {regexes : [ [ "^https://cdn" + i + "\\.net/.*\\.js$" ] ]};
+      break;
+    default:
+      entry = {
+        regexes : [ [ "^https://site" + i + "\\.org/" ] ],
+        when : {methods : [ "POST" ]}
+      };
+    }
+    tamperState.addPattern(Object.assign(entry, {
+      scope : "global",
+      merge : i % 7 === 0,
+      tamper : {headers : {["X-" + i] : "v"}, response : {headers : {R : "1"}}}
+    }));
+  }
+  for (var j = 0; j < 5; j++) {
+    tamperState.addPattern({
+      regexes : [ [ "/tracker" + j + "/" ] ],
+      scope : "global",
+      tamper : {remove : [ "Cookie" ]}
+    });
+  }
+}
+
+/**
+ * @return {Array.<String>} urls of requests, a third of them to hosts
+ * without entries.
+ */
+function requestUrls() {
+  var urls = [];
+  for (var i = 0; i < requestCount; i++) {
+    var host = (i * 7) % entryCount;
+    if (i % 3 === 0) {
+      urls.push("https://host" + host + ".example.com/api/v1?q=" + i);
+    } else if (i % 3 === 1) {
+      urls.push("https://unrelated" + i + ".com/page");
+    } else {
+      urls.push("https://cdn" + host + ".net/lib.js");
+    }
+  }
+  return urls;
+}
+
+var tamperState = loadBackground(backgroundPath).tamperState;
+addEntries(tamperState);
+var urls = requestUrls();
+var details = {method : "GET", type : "xmlhttprequest"};
+// the first round also warms up caches, and isn't timed.
+var matched = urls.filter((url) => tamperState.get(1, 0, url, details) !== null)
+                  .length;
+var start = process.hrtime.bigint();
+for (var round = 0; round < rounds; round++) {
+  urls.forEach((url) => tamperState.get(1, 0, url, details));
+}
+var perRequest =
+    Number(process.hrtime.bigint() - start) / (rounds * urls.length) / 1000;
+console.log(path.relative(process.cwd(), backgroundPath) + ": " +
+            (entryCount + 5) + " entries, " + matched + " of " + urls.length +
+            " requests matched, " + perRequest.toFixed(1) +
+            "µs per request.");
+process.exit(0);
@@ -6,11 +6,29 @@
  *
  */
 
+if (typeof importScripts === "function") {
+  // a service worker, for which the manifest lists only this script.
+  importScripts("compat.js");
+}
+
 /**
  * TamperSpec notes:
  *
  * Interally, the property 'requestId' is sometimes set on a TamperSpec obj,
  * when it is neccessary to track which response corresponds to what request.
+ * TamperSpecs stored per url don't keep it, their key is found by requestId
+ * instead (see TamperStore#getByRequestId).
+ *
+ * TamperSpecs stored per url, and pattern based entries, have 'expires' set
+ * if they expire, a timestamp as of Date.now(), and 'remaining' if they may
+ * only be used so many more times, as their opts say (see
+ * TamperStore#_startLifetime).
+ *
+ * TamperSpecs stored per url have 'origin' set to the origin which requested
+ * their tamper url, if known.
+ *
+ * TamperSpecs bound to a request rather than an url have 'carried' set (see
+ * TamperStore#carryOver).
  */
 
 /**
@@ -19,7 +37,35 @@
  * @type {String}
  */
 const logLevel = 'error';
+/**
+ * Whether the webRequest listeners may change requests. Under Manifest V3
+ * they may only observe them, and TamperSpecs are compiled into
+ * declarativeNetRequest rules instead, see DnrRules.
+ * @type {Boolean}
+ */
+const blockingWebRequest = browser.runtime.getManifest().manifest_version < 3;
 var tamperState = new TamperStore();
+var callbackState = new CallbackStore();
+var accessControl = new AccessControl();
+var trafficLog = new TrafficLog();
+var dnrRules = new DnrRules();
+/**
+ * The url of the top level document of each tab, by tabId.
+ * @type {Object}
+ */
+var tabUrls = {};
+/**
+ * Added to the extraInfoSpec of the listeners which change headers. Since
+ * Chrome 72, without it they can't see or change headers such as Origin,
+ * Cookie and the CORS ones, nor see CORS preflight requests at all. Older
+ * versions reject it.
+ * @type {Array.<String>}
+ */
+const extraHeaders =
+    (browser.webRequest.OnBeforeSendHeadersOptions &&
+     browser.webRequest.OnBeforeSendHeadersOptions.EXTRA_HEADERS)
+        ? [ "extraHeaders" ]
+        : [];
 
 /**
  * Constructs a new TamperStore
@@ -30,46 +76,405 @@ var tamperState = new TamperStore();
 function TamperStore() {
   this._data = {};
   this._patternMods = [];
+  this._patternIdAutoInc = 0;
+  // by requestId, the TamperSpecs bound to a request, see
+  // TamperStore#carryOver, or null if nothing is to apply to it any more, see
+  // TamperStore#leaveAlone.
+  this._carried = {};
+  // by token, the TamperSpecs registered for tamper urls, see
+  // TamperStore#setToken.
+  this._tokens = {};
+  // by requestId, the key of the TamperSpec in _data applied to the request.
+  this._requestKeys = {};
+  // the timeout of TamperStore#collectGarbage, for the next entry to expire.
+  this._collectionTimer = null;
+  // see TamperStore#_indexPatterns, null whenever _patternMods changed.
+  this._patternIndex = null;
+  // whether TamperStore#_changed has scheduled a flush already.
+  this._flushScheduled = false;
 }
 
-TamperStore.prototype.addPattern = function(params) {
-  if (typeof params.regexes === "undefined" &&
-      typeof params.urls === "undefined") {
-    throw new Error("neither params.regexes nor params.urls specified.");
+/**
+ * The browser.storage.session key the entries are stored under, see
+ * TamperStore#restore.
+ * @type {String}
+ */
+TamperStore.storageKey = "tamperStore";
+
+/**
+ * Registers a pattern based tamper entry.
+ * @param {Object} params see addMetaTamper
+ * @param {Number} [tabId=-1] the tab which registered the entry. -1 if it was
+ * not registered by a tab, in which case 'tab' and 'frame' scopes are
+ * unavailable.
+ * @param {Number} [frameId=0] the frame which registered the entry.
+ * @return {Number} the id of the new entry, for use with
+ * TamperStore#removePattern
+ */
+TamperStore.prototype.addPattern = function(params, tabId = -1, frameId = 0) {
+  var entry = this._preparePattern(params, tabId, frameId);
+  entry.id = this._patternIdAutoInc++;
+  this._insertPattern(entry);
+  notifyPageSide(entry);
+  return entry.id;
+};
+
+/**
+ * Changes a pattern based tamper entry. The entry keeps its id, and its place
+ * among entries of the same priority unless the priority is changed.
+ * @param  {Number} id as returned by TamperStore#addPattern
+ * @param  {Object} changes the params to replace, see addMetaTamper.
+ * Properties set to null are removed. The scope cannot be changed.
+ * @param  {Number} [tabId] if given, only an entry registered by this tab is
+ * changed.
+ * @return {Boolean} whether an entry was changed
+ */
+TamperStore.prototype.updatePattern = function(id, changes, tabId) {
+  var index = this._patternMods.findIndex(
+      (entry) => entry.id === id && this._isPatternOwner(entry, tabId));
+  if (index === -1) {
+    return false;
   }
-  if (typeof params.tamper === "undefined") {
-    throw new Error("params.tamper not specified.");
+  var current = this._patternMods[index];
+  if (typeof changes.scope !== "undefined" && changes.scope !== null &&
+      changes.scope !== current.scope) {
+    throw new TamperApiError("INVALID_PARAMS",
+                             "the scope of an entry cannot be changed.",
+                             "options.changes.scope");
+  }
+  var params = deepClone(current);
+  for (var key in changes) {
+    if ([ "id", "tabId", "frameId", "ruleSet", "scope", "origin" ].includes(
+            key)) {
+      continue;
+    }
+    if (changes[key] === null) {
+      delete params[key];
+    } else {
+      params[key] = changes[key];
+    }
+  }
+  var entry = this._preparePattern(params, current.tabId, current.frameId);
+  entry.id = current.id;
+  if (!changes.tamper) {
+    // only a new TamperSpec starts its lifetime afresh.
+    [ "expires", "remaining" ].forEach((key) => {
+      if (typeof current[key] === "undefined") {
+        delete entry[key];
+      } else {
+        entry[key] = current[key];
+      }
+    });
+  }
+  if (entry.priority === current.priority) {
+    this._patternMods[index] = entry;
+  } else {
+    this._patternMods.splice(index, 1);
+    this._insertPattern(entry);
   }
+  this._patternsChanged();
+  notifyPageSide(entry);
+  return true;
+};
+
+/**
+ * Validates params for TamperStore#addPattern and fills in the defaults.
+ * @private
+ * @return {Object} the entry to store, lacking an id
+ */
+TamperStore.prototype._preparePattern = function(params, tabId, frameId) {
+  validateAddTamperCmd(params, "options");
   /**
    We tend to clone everything stored / retrieved as doing otherwise may cause
    behavior the client does not expect, e.g. if the client overwrites some of
    the properties of 'params' after storing.
   */
   params = deepClone(params);
+  if (typeof params.scope === "undefined") {
+    params.scope = (tabId === -1) ? "global" : "tab";
+  }
+  if (params.scope !== "global" && tabId === -1) {
+    throw new TamperApiError("INVALID_PARAMS",
+                             "scope '" + params.scope +
+                                 "' requires the entry be added from a tab.",
+                             "options.scope");
+  }
+  defaults(params, {priority : 0, merge : false, enabled : true});
   params.tamper = this._normalizeTamperSpec(params.tamper);
-  this._patternMods.unshift(params);
+  params.tabId = tabId;
+  params.frameId = frameId;
+  this._startLifetime(params, params.tamper.opts);
+  // compiled now rather than by the first request, see urlMatcherOf.
+  urlMatcherOf(params);
+  return params;
+};
+
+/**
+ * @private
+ * @param  {Object} entry as returned by TamperStore#_preparePattern
+ */
+TamperStore.prototype._insertPattern = function(entry) {
+  // kept in order of precedence: by priority, then most recently added.
+  var index = this._patternMods.findIndex(
+      (other) => other.priority <= entry.priority);
+  if (index === -1) {
+    this._patternMods.push(entry);
+  } else {
+    this._patternMods.splice(index, 0, entry);
+  }
+  this._patternsChanged();
+};
+
+/**
+ * Removes the pattern based tamper entry with the given id.
+ * @param  {Number} id as returned by TamperStore#addPattern
+ * @param  {Number} [tabId] if given, only an entry registered by this tab is
+ * removed.
+ * @return {Boolean} true if an entry was removed.
+ */
+TamperStore.prototype.removePattern = function(id, tabId) {
+  var index = this._patternMods.findIndex(
+      (entry) => entry.id === id && this._isPatternOwner(entry, tabId));
+  if (index === -1) {
+    return false;
+  }
+  this._patternMods.splice(index, 1);
+  this._patternsChanged();
+  return true;
+};
+
+/**
+ * Lists the pattern based tamper entries, in order of precedence.
+ * @param  {Number} [tabId] if given, only entries registered by this tab are
+ * listed.
+ * @return {Array.<Object>} copies of the stored entries, each having an 'id'
+ */
+TamperStore.prototype.listPatterns = function(tabId) {
+  return deepClone(this._patternMods.filter(
+      (entry) => this._isPatternOwner(entry, tabId)));
+};
+
+/**
+ * Removes all pattern based tamper entries.
+ * @param  {Number} [tabId] if given, only entries registered by this tab are
+ * removed.
+ */
+TamperStore.prototype.clearPatterns = function(tabId) {
+  this._patternMods = this._patternMods.filter(
+      (entry) => !this._isPatternOwner(entry, tabId));
+  this._patternsChanged();
+};
+
+/**
+ * Lists the pattern based tamper entries which apply to requests of a tab,
+ * in any of its frames, in order of precedence. Unlike
+ * TamperStore#listPatterns this includes global entries, and entries
+ * registered by other tabs.
+ * @param  {Number} tabId
+ * @return {Array.<Object>} copies of the stored entries
+ */
+TamperStore.prototype.listPatternsForTab = function(tabId) {
+  return deepClone(this._patternMods.filter(
+      (entry) => entry.scope === "global" || entry.tabId === tabId));
+};
+
+/**
+ * @param  {Number} tabId
+ * @param  {Number} frameId
+ * @return {Boolean} whether any entry, or TamperSpec stored for an url, which
+ * may apply to requests of the frame has parts applied page-side (see
+ * tampersPageSide).
+ */
+TamperStore.prototype.hasPageSide = function(tabId, frameId) {
+  return this._patternMods.some(
+             (entry) => entry.enabled !== false && !this._isExpired(entry) &&
+                        isPatternInScope(entry, tabId, frameId) &&
+                        tampersPageSide(entry.tamper)) ||
+         this.listDirect(tabId).some(tampersPageSide);
+};
+
+/**
+ * Lists the TamperSpecs stored for the urls requested by a tab, e.g. those
+ * created with TamperApi.makeUrl. TamperSpecs stored on behalf of pattern
+ * based entries are left out.
+ * @param  {Number} tabId
+ * @return {Array.<TamperSpec>} copies of the stored TamperSpecs, each having
+ * a 'key' for use with TamperStore#removeDirect
+ */
+TamperStore.prototype.listDirect = function(tabId) {
+  var prefix = tabId + "::";
+  return Object.keys(this._data)
+      .filter((key) => key.startsWith(prefix) && !this._data[key].fromPattern)
+      .map((key) => deepClone(this._data[key]));
+};
+
+/**
+ * Replaces the entries of a named rule set. Rule sets are global, and not
+ * registered by any tab: the entries have the 'global' scope, whatever scope
+ * the rules give.
+ * @param  {String} name
+ * @param  {Array.<Object>} rules params as for TamperStore#addPattern
+ * @return {Array.<Number>} the ids of the new entries
+ */
+TamperStore.prototype.activateRuleSet = function(name, rules) {
+  if (!Array.isArray(rules)) {
+    throw new TamperApiError("INVALID_PARAMS", "rules must be an array.",
+                             "options.rules");
+  }
+  var previous = this._patternMods;
+  this.deactivateRuleSet(name);
+  var index = 0;
+  try {
+    return rules.map((rule) => {
+      var params = Object.assign({}, rule);
+      params.ruleSet = name;
+      params.scope = "global";
+      var id = this.addPattern(params);
+      index++;
+      return id;
+    });
+  } catch (e) {
+    this._patternMods = previous;
+    this._patternsChanged();
+    if (e.path) {
+      // relative to the rule's AddTamperCmd, so to the rule.
+      e.path = e.path.replace(/^options/, "options.rules[" + index + "]");
+    }
+    throw e;
+  }
+};
+
+/**
+ * Removes the entries of a named rule set.
+ * @param  {String} name
+ */
+TamperStore.prototype.deactivateRuleSet = function(name) {
+  this._patternMods =
+      this._patternMods.filter((entry) => entry.ruleSet !== name);
+  this._patternsChanged();
+};
+
+/**
+ * Removes the tab and frame scoped entries which should not outlive the
+ * given tab or document.
+ * @param  {Number} tabId
+ * @param  {Number} [frameId] if given, only 'frame' scoped entries of this
+ * frame are removed. Otherwise all 'tab' and 'frame' scoped entries of the tab
+ * are.
+ */
+TamperStore.prototype.removeScopedPatterns = function(tabId, frameId) {
+  var count = this._patternMods.length;
+  this._patternMods = this._patternMods.filter((entry) => {
+    if (entry.scope === "global" || entry.tabId !== tabId) {
+      return true;
+    }
+    if (typeof frameId === "undefined") {
+      return false;
+    }
+    return entry.scope !== "frame" || entry.frameId !== frameId;
+  });
+  var tokenCount = Object.keys(this._tokens).length;
+  for (var token in this._tokens) {
+    var entry = this._tokens[token];
+    if (entry.tabId === tabId &&
+        (typeof frameId === "undefined" || entry.frameId === frameId)) {
+      delete this._tokens[token];
+    }
+  }
+  if (this._patternMods.length !== count ||
+      Object.keys(this._tokens).length !== tokenCount) {
+    this._patternsChanged();
+  }
+};
+
+/**
+ * Removes everything kept for a tab which was closed: its tab and frame
+ * scoped entries and tokens (see TamperStore#removeScopedPatterns), and the
+ * TamperSpecs stored for the urls it requested.
+ * @param  {Number} tabId
+ */
+TamperStore.prototype.removeTab = function(tabId) {
+  this.removeScopedPatterns(tabId);
+  var prefix = tabId + "::";
+  Object.keys(this._data)
+      .filter((key) => key.startsWith(prefix))
+      .forEach((key) => this.removeDirect(key));
+};
+
+/**
+ * Registers the TamperSpec of a tamper url which embeds only a token, see
+ * parseTamperUrl. It is good for the requests of the tab until the frame
+ * which registered it navigates.
+ * @param  {String} token
+ * @param  {TamperSpec} tamperSpec
+ * @param  {Number} tabId
+ * @param  {Number} frameId
+ */
+TamperStore.prototype.setToken = function(token, tamperSpec, tabId, frameId) {
+  this._tokens[token] =
+      {tamper : tamperSpec, tabId : tabId, frameId : frameId};
+  this._changed();
+};
+
+/**
+ * @param  {String} token
+ * @param  {Number} tabId of the request
+ * @return {TamperSpec|null} a copy of the TamperSpec registered for the token
+ * by the tab, if any.
+ */
+TamperStore.prototype.getToken = function(token, tabId) {
+  var entry = this._tokens[token];
+  if (!entry || entry.tabId !== tabId) {
+    return null;
+  }
+  return deepClone(entry.tamper);
 };
 
 /**
  * Retrieves the TamperSpec which should modify the given request url in the
  * given environment.
- * @param  {Number} tabId Chrome's tabId
- * @param  {Number} frameId Chrome's frameId
+ *
+ * If the TamperSpec came from an entry with a Condition ('when') which could
+ * not be decided from 'details' alone, what remains of the Condition is set
+ * as its 'condition' property. It is to be decided once more is known of the
+ * request (see evaluateCondition).
+ *
+ * A TamperSpec bound to the request (see TamperStore#carryOver) takes
+ * precedence over those for the url, and none applies to a request left
+ * alone (see TamperStore#leaveAlone).
+ * @param  {Number} tabId the browser's tabId
+ * @param  {Number} frameId the browser's frameId
  * @param  {String} url request url
+ * @param  {Object} [details] what is known of the request so far, like
+ * webRequest details, for the evaluation of Conditions.
  * @return {TamperSpec|null} A TamperSpec if one applies, or null.
  */
-TamperStore.prototype.get = function(tabId, frameId, url) {
+TamperStore.prototype.get = function(tabId, frameId, url, details = {}) {
+  var carried = this._carried[details.requestId];
+  if (carried === null) {
+    return null;
+  }
+  if (typeof carried !== "undefined") {
+    carried = deepClone(carried);
+    if (this._applyCondition(carried, details)) {
+      return carried;
+    }
+  }
   var key = this.makeKey(tabId, frameId, url),
       tamperSpec = tamperState.getDirect(key);
-  if (tamperSpec !== null) {
+  // those from patterns are only stored for TamperStore#getByRequestId, the
+  // patterns themselves are authoritative.
+  if (tamperSpec !== null && !tamperSpec.fromPattern &&
+      !this._isExpired(tamperSpec) &&
+      this._applyCondition(tamperSpec, details)) {
     return tamperSpec;
   }
-  tamperSpec = this._scanPatternMods(url);
+  tamperSpec = this._scanPatternMods(tabId, frameId, url, details);
   return tamperSpec;
 };
 
 /**
- * Stores a TamperSpec for given url and chrome environment.
+ * Stores a TamperSpec for given url, tab and frame.
  * @param  {String} url
  * @param  {TamperSpec} modifyOpts
  */
@@ -90,14 +495,36 @@ TamperStore.prototype.makeKey = function(tabId, frameId, url) {
 /**
  * Stores a TamperSpec for given key, which is returned by
  * TamperStore#makeKey(...)
+ *
+ * A TamperSpec stored afresh starts its lifetime (see
+ * TamperStore#_startLifetime). One retrieved from under the same key keeps
+ * the lifetime it had, e.g. when stored again to note its requestId.
  * @param  {String} key
  * @param  {TamperSpec} value
  */
 TamperStore.prototype.setDirect = function(key, value) {
   value = deepClone(value);
   value = this._normalizeTamperSpec(value);
+  var stored = this._data[key];
+  var requestId = value.requestId;
+  if (!value.fromPattern) {
+    // noting the request changes nothing to store, see _requestKeys.
+    delete value.requestId;
+  }
+  if (value.key !== key) {
+    this._startLifetime(value, value.opts);
+  } else if (stored && typeof stored.remaining === "number") {
+    // it may have been used meanwhile, by another request.
+    value.remaining = Math.min(stored.remaining, value.remaining);
+  }
   value.key = key;
   this._data[key] = value;
+  if (requestId) {
+    this._requestKeys[requestId] = key;
+  }
+  if (!value.fromPattern && JSON.stringify(value) !== JSON.stringify(stored)) {
+    this._changed();
+  }
 };
 
 TamperStore.prototype.getDirect = function(key) {
@@ -109,330 +536,5039 @@ TamperStore.prototype.getDirect = function(key) {
 };
 
 TamperStore.prototype.removeDirect = function(key) {
+  var value = tamperState._data[key];
   delete tamperState._data[key];
-};
-
-TamperStore.prototype.getByRequestId = function(requestId) {
-  for (var key in this._data) {
-    var modifyOpts = this._data[key];
-    if (modifyOpts.requestId === requestId) {
-      return deepClone(modifyOpts);
+  for (var requestId in this._requestKeys) {
+    if (this._requestKeys[requestId] === key) {
+      delete this._requestKeys[requestId];
     }
   }
-  return null;
+  if (value && !value.fromPattern) {
+    this._changed();
+  }
 };
 
-TamperStore.prototype.getData = function() { return tamperState._data; };
+/**
+ * Binds a TamperSpec to a request: it applies to wherever the request goes
+ * next, e.g. the redirect target, in place of whatever would for that url,
+ * and is kept for the request rather than stored for the url (see
+ * TamperStore#setForRequest), until TamperStore#forgetCarried.
+ * @param  {String} requestId the browser's requestId, which is kept across
+ * redirects
+ * @param  {TamperSpec} tamperSpec
+ */
+TamperStore.prototype.carryOver = function(requestId, tamperSpec) {
+  tamperSpec = deepClone(tamperSpec);
+  tamperSpec.requestId = null;
+  tamperSpec.carried = true;
+  delete tamperSpec.key;
+  this._carried[requestId] = tamperSpec;
+};
 
 /**
- * Scans the registered regex based tamper entries for a match.
- * @private
- * @param  {String} url the url to match against
- * @return {TamperSpec|null} The matched tamper entry, or null if none
- * matched.
+ * Keeps the TamperSpec applied to a request, with its requestId set, for
+ * TamperStore#getByRequestId: one bound to the request (see
+ * TamperStore#carryOver) stays with it, any other is stored for the url.
+ * @param  {Number} tabId
+ * @param  {Number} frameId
+ * @param  {String} url
+ * @param  {TamperSpec} tamperSpec
  */
-TamperStore.prototype._scanPatternMods = function(url) {
-  var tamperSpec = null;
-  tamperState._patternMods.some((patternEntry) => {
-    var matched;
-    if (patternEntry.regexes) {
-      matched =
-          patternEntry.regexes.some((regex) => url.match(makeRegex(regex)));
-    } else {
-      matched = patternEntry.urls.some((allowedUrl) => url === allowedUrl);
-    }
-    if (matched) {
-      tamperSpec = patternEntry.tamper;
-      return true;
-    }
-  });
-  return deepClone(tamperSpec);
+TamperStore.prototype.setForRequest = function(tabId, frameId, url,
+                                               tamperSpec) {
+  if (tamperSpec.carried) {
+    this._carried[tamperSpec.requestId] = deepClone(tamperSpec);
+    return;
+  }
+  this.set(tabId, frameId, url, tamperSpec);
+  // from here on, it's found by requestId.
+  this.forgetCarried(tamperSpec.requestId);
 };
 
-TamperStore.prototype._normalizeTamperSpec = function(tamperSpec = {}) {
-  defaults(tamperSpec, {
-    headers : {},
-    remove : [],
-    response : {},
-    opts : {},
-  });
-  defaults(tamperSpec.response, {
-    headers : {},
-    remove : [],
-  });
-  var doNormalize = function(obj) {
-    for (var name in obj.headers) {
-      if (obj.headers[name] === null) {
-        delete obj.headers[name];
-        obj.remove.push(name);
-      }
-    }
-  };
-  doNormalize(tamperSpec);
-  doNormalize(tamperSpec.response);
-  return tamperSpec;
+/**
+ * Has nothing apply to the rest of a request, e.g. where it is redirected
+ * once its TamperSpec doesn't follow (see TamperSpec.opts.followRedirects),
+ * even what would for that url, until TamperStore#forgetCarried.
+ * @param  {String} requestId
+ */
+TamperStore.prototype.leaveAlone = function(requestId) {
+  this._carried[requestId] = null;
 };
 
-var dconsole;
-dconsole = {
-  log : function() {
-    if (!dconsole._shouldPrint('log')) {
-      return;
-    }
-    console.log.apply(console.log, arguments);
-  },
-  error : function() {
-    if (!dconsole._shouldPrint('error')) {
-      return;
-    }
-    console.error.apply(console.error, arguments);
-  },
-  debug : function() {
-    if (!dconsole._shouldPrint('debug')) {
-      return;
-    }
-    console.log.apply(console.log, arguments);
-  },
-  _shouldPrint : function(msgType) {
-    return (dconsole._typeToNumber(msgType) >=
-            dconsole._typeToNumber(logLevel));
-  },
-  _typeToNumber : function(msgType) {
-    var lookup = {
-      'debug' : 1,
-      'log' : 2,
-      'error' : 3,
-    };
-    return lookup[msgType];
-  }
+/**
+ * @param  {String} requestId
+ */
+TamperStore.prototype.forgetCarried = function(requestId) {
+  delete this._carried[requestId];
 };
 
 /**
-  The client must send us a url which contains $TamperApi:b64:$TamperApi
-  here b64 represents a base 64 encoded string (see b64EncodeUnicode func)
-  of a JSON string, the object which produced the JSON being like {TamperSpec}
-  (described elsewhere). Usually handled transparently by the page-side api.
-*/
-chrome.webRequest.onBeforeRequest.addListener(function(details) {
-  dconsole.debug("tamperApi: onBeforeRequest: details: ", details);
-  var match = details.url.match(/^(.*)(\$TamperApi:)(.*)(?::\$TamperApi)/);
-  if (match === null) {
+ * Forgets what was kept for a request which is done: the TamperSpec bound to
+ * it (see TamperStore#carryOver), the one stored on behalf of pattern based
+ * entries, which only served it, and one stored for the url which was only
+ * to be used once, whether or not the response arrived.
+ * @param  {String} requestId
+ */
+TamperStore.prototype.forgetRequest = function(requestId) {
+  this.forgetCarried(requestId);
+  var key = this._requestKeys[requestId];
+  if (typeof key === "undefined") {
     return;
   }
-  var origUrl = match[1];
-  dconsole.debug(
-      "tamperApi::onBeforeRequest: tamperApi url syntax detected. orig url was: ",
-      origUrl, " tamperApi query (pre decode) was: ", match[2] + match[3]);
-  var altRequestId =
-      tamperState.makeKey(details.tabId, details.frameId, origUrl);
-  dconsole.debug(
-      "tamperApi::onBeforeRequest: scheduling request for modification where alternate id was: ",
-      altRequestId);
-  var reqModifyOpts = decodeReqModifyOpts(match[3]);
-  reqModifyOpts.requestId = null;
-  dconsole.debug("tamperApi::onBeforeRequest: modifyOpts given was: ",
-                 reqModifyOpts);
-  tamperState.set(details.tabId, details.frameId, origUrl, reqModifyOpts);
+  delete this._requestKeys[requestId];
+  var value = this._data[key];
+  if (value && value.fromPattern && value.requestId === requestId) {
+    delete this._data[key];
+  } else if (value && !value.fromPattern && value.opts.once) {
+    this.removeDirect(key);
+  }
+};
 
-  return {redirectUrl : origUrl};
-}, {urls : [ "<all_urls>" ]}, [ "blocking" ]);
+/**
+ * @param  {String} requestId
+ * @return {TamperSpec|null} a copy of the TamperSpec stored for the request
+ * by onBeforeSendHeaders, with its requestId, if it still is. One stored on
+ * behalf of pattern based entries may since be another request's.
+ */
+TamperStore.prototype.getByRequestId = function(requestId) {
+  var carried = this._carried[requestId];
+  if (carried && carried.requestId === requestId) {
+    return deepClone(carried);
+  }
+  var key = this._requestKeys[requestId];
+  var modifyOpts = (typeof key === "undefined") ? undefined : this._data[key];
+  if (!modifyOpts ||
+      (modifyOpts.fromPattern && modifyOpts.requestId !== requestId)) {
+    return null;
+  }
+  modifyOpts = deepClone(modifyOpts);
+  modifyOpts.requestId = requestId;
+  return modifyOpts;
+};
 
-chrome.webRequest.onBeforeSendHeaders.addListener(function(details) {
-  var altRequestId =
-      tamperState.makeKey(details.tabId, details.frameId, details.url);
-  dconsole.debug("tamperApi: onBeforeSendHeaders: saw request with alt id: ",
-                 altRequestId);
-  var reqModifyOpts =
-      tamperState.get(details.tabId, details.frameId, details.url);
-  if (reqModifyOpts === null) {
-    return;
+/**
+ * Counts a use of the entries a TamperSpec came from, once a request is done
+ * with it, and removes those used up (see TamperSpec.opts.times).
+ * @param  {TamperSpec} tamperSpec as retrieved by TamperStore#get or
+ * TamperStore#getByRequestId
+ */
+TamperStore.prototype.countUse = function(tamperSpec) {
+  var used = [];
+  if (tamperSpec.fromPattern) {
+    used = this._patternMods.filter(
+        (entry) => (tamperSpec.ruleIds || []).includes(entry.id));
+  } else if (this._data[tamperSpec.key]) {
+    used = [ this._data[tamperSpec.key] ];
   }
-  dconsole.debug(
-      "tamperApi: onBeforeSendHeaders: detected request scheduled for modification:",
-      altRequestId);
-  dconsole.debug("tamperApi: onBeforeSendHeaders: modifyOpts was: ",
-                 reqModifyOpts);
-  var requestHeaders = details.requestHeaders;
-  if (reqModifyOpts.headers) {
-    requestHeaders = setHeaders(requestHeaders, reqModifyOpts.headers);
+  used.filter((entry) => typeof entry.remaining === "number")
+      .forEach((entry) => {
+        entry.remaining--;
+        if (entry.remaining > 0) {
+          this._changed();
+        } else if (tamperSpec.fromPattern) {
+          this.removePattern(entry.id);
+        } else {
+          this.removeDirect(entry.key);
+        }
+      });
+};
+
+/**
+ * Removes the entries which expired (see TamperSpec.opts.ttl). Expired
+ * entries no longer apply anyway, this frees them, and the rules they were
+ * compiled into. Called when the next entry is due to expire (see
+ * TamperStore#_changed), and on restore.
+ */
+TamperStore.prototype.collectGarbage = function() {
+  var now = Date.now();
+  var count = this._patternMods.length;
+  this._patternMods =
+      this._patternMods.filter((entry) => !this._isExpired(entry, now));
+  if (this._patternMods.length !== count) {
+    this._patternsChanged();
   }
-  if (reqModifyOpts.remove) {
-    requestHeaders = removeHeaders(requestHeaders, reqModifyOpts.remove);
+  Object.keys(this._data)
+      .filter((key) => this._isExpired(this._data[key], now))
+      .forEach((key) => this.removeDirect(key));
+  if (!this._flushScheduled) {
+    this._scheduleCollection();
   }
-  reqModifyOpts.requestId = details.requestId;
-  tamperState.set(details.tabId, details.frameId, details.url, reqModifyOpts);
+};
 
-  return {requestHeaders : requestHeaders};
-}, {urls : [ "<all_urls>" ]}, [ "blocking", "requestHeaders" ]);
+TamperStore.prototype.getData = function() { return tamperState._data; };
 
-chrome.webRequest.onHeadersReceived.addListener(function(details) {
-  dconsole.debug("tamperApi: onHeadersReceived: details: ", details);
-  var reqModifyOpts = tamperState.getByRequestId(details.requestId);
-  if (reqModifyOpts === null) {
+/**
+ * Reads back the entries stored by TamperStore#_store, for a service worker
+ * started again after being suspended. Commands wait for it, see ready.
+ * @return {Promise} resolves to true if entries were stored, false if this
+ * is the first start of the browser session (or there is no
+ * browser.storage.session to store them in).
+ */
+TamperStore.prototype.restore = function() {
+  if (!browser.storage.session) {
+    return Promise.resolve(false);
+  }
+  return storageGet(TamperStore.storageKey, browser.storage.session)
+      .then((items) => {
+        var stored = items[TamperStore.storageKey];
+        if (typeof stored === "undefined") {
+          return false;
+        }
+        this._patternMods = stored.patternMods;
+        this._patternIndex = null;
+        this._patternIdAutoInc = stored.patternIdAutoInc;
+        this._data = Object.assign(stored.data, this._data);
+        this._tokens = Object.assign(stored.tokens || {}, this._tokens);
+        // some may have expired while the service worker was suspended.
+        this.collectGarbage();
+        return true;
+      })
+      .catch((e) => {
+        dconsole.error("TamperApi: background: failed to restore entries: ",
+                       e);
+        return false;
+      });
+};
+
+/**
+ * Called whenever the entries change. Once the current task is done, they
+ * are stored and the declarativeNetRequest rules made to follow them.
+ * @private
+ */
+TamperStore.prototype._changed = function() {
+  if (this._flushScheduled) {
     return;
   }
-  var responseHeaders = null;
-  if (reqModifyOpts.response) {
+  this._flushScheduled = true;
+  Promise.resolve().then(() => {
+    this._flushScheduled = false;
+    this._store();
+    syncDnrRules();
+    this._scheduleCollection();
+  });
+};
+
+/**
+ * Called whenever the pattern based entries change, see
+ * TamperStore#_changed.
+ * @private
+ */
+TamperStore.prototype._patternsChanged = function() {
+  this._patternIndex = null;
+  this._changed();
+};
+
+/**
+ * Indexes the pattern based entries by the hosts of the urls they may match,
+ * see UrlMatcher, unless they are already. Requests then need only be
+ * matched against the entries for their host and its parent domains, and
+ * those for any host.
+ * @private
+ * @return {Object} the UrlMatchers of the entries as 'matchers', in order of
+ * precedence, and their indexes in it as 'anyHost' and 'byHost', a Map from
+ * the hosts to those limited to them.
+ */
+TamperStore.prototype._indexPatterns = function() {
+  if (this._patternIndex !== null) {
+    return this._patternIndex;
+  }
+  var index = {matchers : [], anyHost : [], byHost : new Map()};
+  this._patternMods.forEach((entry, position) => {
+    var matcher = urlMatcherOf(entry);
+    index.matchers.push(matcher);
+    if (matcher.hosts === null) {
+      index.anyHost.push(position);
+      return;
+    }
+    new Set(matcher.hosts).forEach((host) => {
+      if (!index.byHost.has(host)) {
+        index.byHost.set(host, []);
+      }
+      index.byHost.get(host).push(position);
+    });
+  });
+  this._patternIndex = index;
+  return index;
+};
+
+/**
+ * @private
+ * @param  {Object} index see TamperStore#_indexPatterns
+ * @param  {String} url
+ * @return {Array.<Number>} the indexes of the entries which may match the
+ * url, in order of precedence
+ */
+TamperStore.prototype._candidatePatterns = function(index, url) {
+  var lists = [ index.anyHost ];
+  var host = urlHost(url);
+  while (host !== "") {
+    if (index.byHost.has(host)) {
+      lists.push(index.byHost.get(host));
+    }
+    var dot = host.indexOf(".");
+    host = (dot === -1) ? "" : host.slice(dot + 1);
+  }
+  if (lists.length === 1) {
+    return lists[0];
+  }
+  // an entry may be listed for several of the hosts.
+  return Array.from(new Set([].concat(...lists))).sort((a, b) => a - b);
+};
+
+/**
+ * Has TamperStore#collectGarbage run when the next entry expires. A
+ * suspended service worker misses it, and collects on restore instead.
+ * @private
+ */
+TamperStore.prototype._scheduleCollection = function() {
+  clearTimeout(this._collectionTimer);
+  this._collectionTimer = null;
+  var next = Infinity;
+  var consider = (entry) => {
+    if (typeof entry.expires === "number") {
+      next = Math.min(next, entry.expires);
+    }
+  };
+  this._patternMods.forEach(consider);
+  Object.keys(this._data).forEach((key) => consider(this._data[key]));
+  if (next === Infinity) {
+    return;
+  }
+  // longer delays overflow, and fire at once.
+  var delay = Math.min(Math.max(next - Date.now(), 0), 0x7fffffff);
+  this._collectionTimer = setTimeout(() => this.collectGarbage(), delay);
+};
+
+/**
+ * Sets how long an entry lasts, from the opts of its TamperSpec, counting
+ * from now: 'expires', the earliest of opts.until and opts.ttl from now,
+ * and 'remaining', opts.times (1 if opts.once). Those not limited are left
+ * out.
+ * @private
+ * @param  {Object} target a pattern based entry, or a TamperSpec stored per
+ * url
+ * @param  {Object} opts TamperSpec.opts
+ */
+TamperStore.prototype._startLifetime = function(target, opts) {
+  delete target.expires;
+  delete target.remaining;
+  var expires = Infinity;
+  if (typeof opts.ttl !== "undefined") {
+    expires = Date.now() + opts.ttl;
+  }
+  if (typeof opts.until !== "undefined") {
+    expires = Math.min(expires, opts.until);
+  }
+  if (expires !== Infinity) {
+    target.expires = expires;
+  }
+  if (opts.once) {
+    target.remaining = 1;
+  } else if (typeof opts.times !== "undefined") {
+    target.remaining = opts.times;
+  }
+};
+
+/**
+ * @private
+ * @param  {Object} target see TamperStore#_startLifetime
+ * @param  {Number} [now=Date.now()]
+ * @return {Boolean} whether it has expired
+ */
+TamperStore.prototype._isExpired = function(target, now = Date.now()) {
+  return typeof target.expires === "number" && target.expires <= now;
+};
+
+/**
+ * Stores the entries in browser.storage.session, if there is one. The
+ * TamperSpecs stored per request on behalf of pattern based entries, and
+ * those carried over redirects, are left out: they don't outlive the
+ * request, which keeps a service worker from being suspended.
+ * @private
+ * @return {Promise} resolves once stored. Never rejects.
+ */
+TamperStore.prototype._store = function() {
+  if (!browser.storage.session) {
+    return Promise.resolve();
+  }
+  var data = {};
+  for (var key in this._data) {
+    if (!this._data[key].fromPattern) {
+      data[key] = this._data[key];
+    }
+  }
+  var items = {};
+  items[TamperStore.storageKey] = {
+    patternMods : this._patternMods,
+    patternIdAutoInc : this._patternIdAutoInc,
+    data : data,
+    tokens : this._tokens
+  };
+  return storageSet(items, browser.storage.session).catch((e) => {
+    dconsole.error("TamperApi: background: failed to store entries: ", e);
+  });
+};
+
+/**
+ * Scans the registered regex based tamper entries for a match.
+ *
+ * Entries are scanned in order of precedence. The first match wins, unless it
+ * has 'merge' set, in which case scanning continues, and all matches up to
+ * and including the first without 'merge' are merged (see
+ * TamperStore#_mergeTamperSpecs). Entries whose Condition is undecided are
+ * left out of a merge.
+ *
+ * The TamperSpec returned has 'fromPattern' set, and 'ruleIds', the ids of
+ * the entries it is made of.
+ * @private
+ * @param  {Number} tabId the browser's tabId of the request
+ * @param  {Number} frameId the browser's frameId of the request
+ * @param  {String} url the url to match against
+ * @return {TamperSpec|null} The matched tamper entry, or null if none
+ * matched.
+ */
+TamperStore.prototype._scanPatternMods = function(tabId, frameId, url,
+                                                  details) {
+  // lowest precedence first, with the ids of their entries.
+  var layers = [];
+  var ids = [];
+  var index = this._indexPatterns();
+  this._candidatePatterns(index, url).some((position) => {
+    var patternEntry = this._patternMods[position];
+    if (patternEntry.enabled === false || this._isExpired(patternEntry) ||
+        !isPatternInScope(patternEntry, tabId, frameId) ||
+        !index.matchers[position].test(url) ||
+        (typeof patternEntry.origin !== "undefined" &&
+         !accessControl.mayTamper(patternEntry.origin, url))) {
+      return false;
+    }
+    var candidate = deepClone(patternEntry.tamper);
+    if (patternEntry.when) {
+      candidate.when = deepClone(patternEntry.when);
+    }
+    if (!this._applyCondition(candidate, details)) {
+      return false;
+    }
+    layers.unshift(candidate);
+    ids.unshift(patternEntry.id);
+    return !patternEntry.merge;
+  });
+  if (layers.length > 1) {
+    ids = ids.filter((id, i) => !layers[i].condition);
+    layers = layers.filter((layer) => !layer.condition);
+  }
+  if (layers.length === 0) {
+    return null;
+  }
+  var tamperSpec =
+      (layers.length === 1) ? layers[0] : this._mergeTamperSpecs(layers);
+  tamperSpec.fromPattern = true;
+  tamperSpec.ruleIds = ids;
+  return tamperSpec;
+};
+
+/**
+ * Merges TamperSpecs, each being applied on top of the ones before it:
+ * - headers (and query.set, cookies.set, response.headers) override those of
+ *   the same name, and cancel earlier removal of them. Headers in the 'add'
+ *   mode add to those set before.
+ * - remove (and query.remove, cookies.remove, response.remove,
+ *   response.cookies.remove) accumulate, and cancel earlier setting of the
+ *   same names.
+ * - headerOps (and response.headerOps) accumulate, applied in order after
+ *   headers and remove.
+ * - response.cookies.attributes are combined per cookie name, later ones
+ *   overriding.
+ * - method, body, cors, action, redirect, response.body and response.mock
+ *   override.
+ * - opts are combined, later ones overriding.
+ * @private
+ * @param  {Array.<TamperSpec>} tamperSpecs normalized, lowest precedence
+ * first
+ * @return {TamperSpec} the merged TamperSpec
+ */
+TamperStore.prototype._mergeTamperSpecs = function(tamperSpecs) {
+  var merged = this._normalizeTamperSpec({});
+  tamperSpecs.forEach((tamperSpec) => {
+    layerHeaders(merged.headers, merged.remove, tamperSpec.headers,
+                 tamperSpec.remove);
+    layerNames(merged.query.set, merged.query.remove, tamperSpec.query.set,
+               tamperSpec.query.remove, false);
+    layerNames(merged.cookies.set, merged.cookies.remove,
+               tamperSpec.cookies.set, tamperSpec.cookies.remove, false);
+    var cookies = merged.response.cookies;
+    tamperSpec.response.cookies.remove.forEach((name) => {
+      if (!cookies.remove.includes(name)) {
+        cookies.remove.push(name);
+      }
+    });
+    var attributes = tamperSpec.response.cookies.attributes;
+    for (var name in attributes) {
+      cookies.attributes[name] =
+          Object.assign({}, cookies.attributes[name], attributes[name]);
+    }
+    layerHeaders(merged.response.headers, merged.response.remove,
+                 tamperSpec.response.headers, tamperSpec.response.remove);
+    merged.headerOps = merged.headerOps.concat(tamperSpec.headerOps);
+    merged.response.headerOps =
+        merged.response.headerOps.concat(tamperSpec.response.headerOps);
+    [ "method", "body", "cors", "action", "redirect" ].forEach((prop) => {
+      if (typeof tamperSpec[prop] !== "undefined") {
+        merged[prop] = tamperSpec[prop];
+      }
+    });
+    [ "body", "mock" ].forEach((prop) => {
+      if (tamperSpec.response[prop]) {
+        merged.response[prop] = tamperSpec.response[prop];
+      }
+    });
+    Object.assign(merged.opts, tamperSpec.opts);
+  });
+  return merged;
+};
+
+/**
+ * Evaluates the Condition a TamperSpec carries from its entry, if any, and
+ * sets what remains undecided of it as the 'condition' property.
+ * @private
+ * @param  {TamperSpec} tamperSpec
+ * @param  {Object} details see TamperStore#get
+ * @return {Boolean} false if the Condition is not met.
+ */
+TamperStore.prototype._applyCondition = function(tamperSpec, details) {
+  delete tamperSpec.condition;
+  if (!tamperSpec.when) {
+    return true;
+  }
+  var result = evaluateCondition(tamperSpec.when, details);
+  if (result === false) {
+    return false;
+  }
+  if (result !== true) {
+    tamperSpec.condition = result;
+  }
+  return true;
+};
+
+/**
+ * @private
+ * @param  {Object} patternEntry
+ * @param  {Number} [tabId]
+ * @return {Boolean} true if tabId is not given, or registered the entry.
+ */
+TamperStore.prototype._isPatternOwner = function(patternEntry, tabId) {
+  return typeof tabId === "undefined" || patternEntry.tabId === tabId;
+};
+
+TamperStore.prototype._normalizeTamperSpec = function(tamperSpec = {}) {
+  defaults(tamperSpec, {
+    headers : {},
+    remove : [],
+    headerOps : [],
+    query : {},
+    cookies : {},
+    response : {},
+    opts : {},
+  });
+  defaults(tamperSpec.query, {
+    set : {},
+    remove : [],
+  });
+  defaults(tamperSpec.cookies, {
+    set : {},
+    remove : [],
+  });
+  defaults(tamperSpec.response, {
+    headers : {},
+    remove : [],
+    headerOps : [],
+    cookies : {},
+  });
+  defaults(tamperSpec.response.cookies, {
+    remove : [],
+    attributes : {},
+  });
+  var doNormalize = function(toSet, toRemove) {
+    for (var name in toSet) {
+      if (toSet[name] === null) {
+        delete toSet[name];
+        toRemove.push(name);
+      }
+    }
+  };
+  doNormalize(tamperSpec.headers, tamperSpec.remove);
+  doNormalize(tamperSpec.query.set, tamperSpec.query.remove);
+  doNormalize(tamperSpec.cookies.set, tamperSpec.cookies.remove);
+  doNormalize(tamperSpec.response.headers, tamperSpec.response.remove);
+  if (typeof tamperSpec.method === "string") {
+    tamperSpec.method = tamperSpec.method.toUpperCase();
+  }
+  if (tamperSpec.response.mock) {
+    defaults(tamperSpec.response.mock, {
+      status : 200,
+      statusText : "",
+      headers : {},
+    });
+  }
+  if (tamperSpec.body && tamperSpec.body.form) {
+    defaults(tamperSpec.body.form, {
+      set : {},
+      remove : [],
+    });
+    doNormalize(tamperSpec.body.form.set, tamperSpec.body.form.remove);
+  }
+  if (tamperSpec.cors === true) {
+    tamperSpec.cors = {};
+  } else if (tamperSpec.cors === false) {
+    delete tamperSpec.cors;
+  }
+  if (tamperSpec.cors) {
+    defaults(tamperSpec.cors, {credentials : true});
+  }
+  if (typeof tamperSpec.redirect === "string") {
+    tamperSpec.redirect = {url : tamperSpec.redirect};
+  }
+  // on copies, as the caller may go on using the action it gave.
+  if (tamperSpec.action === "block") {
+    tamperSpec = Object.assign({}, tamperSpec, {action : {block : true}});
+  }
+  var action = tamperSpec.action;
+  if (action && (typeof action.fail !== "undefined" ||
+                 typeof action.failRate !== "undefined")) {
+    tamperSpec = Object.assign({}, tamperSpec, {
+      action : Object.assign({fail : "net::ERR_FAILED", failRate : 1}, action)
+    });
+  }
+  return tamperSpec;
+};
+
+/**
+ * Constructs a new CallbackStore
+ * @classdesc A class for the management of page-side callbacks observing
+ * requests (see the RegisterCb command), and the dispatch of events to them.
+ * @constructor
+ */
+function CallbackStore() {
+  this._callbacks = [];
+  // per requestId, what the events of a request need but don't get in their
+  // webRequest details.
+  this._requests = {};
+}
+
+/**
+ * The events a callback may be registered for.
+ * @type {Array.<String>}
+ */
+CallbackStore.events = [ "request", "response", "redirect", "error" ];
+
+/**
+ * Registers a callback.
+ * @param {Port} port the port to dispatch events to. Its sender determines
+ * the tab and frame of the callback.
+ * @param {Object} params
+ * @param {Number} params.id the page-side id of the callback, unique per port.
+ * @param {String} params.event one of CallbackStore.events
+ * @param {Array.<RegexSpec>} [params.regexes] as for MetaTamper
+ * @param {Array.<String>} [params.urls] as for MetaTamper. If neither regexes
+ * nor urls are given, all urls are observed.
+ * @param {String} [params.scope='tab'] as for MetaTamper
+ */
+CallbackStore.prototype.add = function(port, params) {
+  if (typeof params.id === "undefined") {
+    throw new TamperApiError("INVALID_PARAMS", "id not specified.",
+                             "options.id");
+  }
+  if (!CallbackStore.events.includes(params.event)) {
+    throw new TamperApiError("INVALID_PARAMS",
+                             "event must be one of " +
+                                 CallbackStore.events.join(", ") + ".",
+                             "options.event");
+  }
+  validatePatternParams(params, "options");
+  params = deepClone(params);
+  defaults(params, {scope : "tab"});
+  params.port = port;
+  params.tabId = port.sender.tab ? port.sender.tab.id : -1;
+  params.frameId = port.sender.frameId;
+  params.origin = senderOrigin(port.sender);
+  this._callbacks.push(params);
+};
+
+/**
+ * Removes a callback.
+ * @param  {Port} port the port it was registered over
+ * @param  {Number} id the page-side id of the callback
+ * @return {Boolean} true if a callback was removed.
+ */
+CallbackStore.prototype.remove = function(port, id) {
+  var index = this._callbacks.findIndex(
+      (callback) => callback.port === port && callback.id === id);
+  if (index === -1) {
+    return false;
+  }
+  this._callbacks.splice(index, 1);
+  return true;
+};
+
+/**
+ * Removes all callbacks registered over a port.
+ * @param  {Port} port
+ */
+CallbackStore.prototype.removePort = function(port) {
+  this._callbacks =
+      this._callbacks.filter((callback) => callback.port !== port);
+};
+
+/**
+ * @return {Boolean} whether any callbacks are registered.
+ */
+CallbackStore.prototype.hasCallbacks = function() {
+  return this._callbacks.length !== 0;
+};
+
+/**
+ * Records the request headers of a request, as they are sent.
+ * @param  {Object} details webRequest details of onSendHeaders
+ */
+CallbackStore.prototype.noteRequestHeaders = function(details) {
+  this._noteRequest(details.requestId).requestHeaders = details.requestHeaders;
+};
+
+/**
+ * Records that a request was tampered with.
+ * @param  {String} requestId
+ */
+CallbackStore.prototype.noteTampered = function(requestId) {
+  this._noteRequest(requestId).tampered = true;
+};
+
+/**
+ * Records the error a request is made to fail with, for the 'error' event.
+ * @param  {String} requestId
+ * @param  {String} error e.g. 'net::ERR_CONNECTION_RESET'
+ */
+CallbackStore.prototype.noteError = function(requestId, error) {
+  this._noteRequest(requestId).error = error;
+};
+
+/**
+ * Forgets what was recorded of a request. Should be called once it's done.
+ * @param  {String} requestId
+ */
+CallbackStore.prototype.forgetRequest = function(requestId) {
+  delete this._requests[requestId];
+};
+
+/**
+ * Posts an event to the callbacks registered for it whose url patterns and
+ * scope match the request, and whose origin may tamper with its url.
+ * @param  {String} event one of CallbackStore.events
+ * @param  {Object} details webRequest details of the request
+ */
+CallbackStore.prototype.dispatch = function(event, details) {
+  var callbacks = this._callbacks.filter((callback) => {
+    return callback.event === event &&
+           isPatternInScope(callback, details.tabId, details.frameId) &&
+           patternMatchesUrl(callback, details.url) &&
+           (typeof callback.origin === "undefined" ||
+            accessControl.mayTamper(callback.origin, details.url));
+  });
+  if (callbacks.length === 0) {
+    return;
+  }
+  var noted = this._requests[details.requestId] || {};
+  var requestEvent = {
+    event : event,
+    requestId : details.requestId,
+    url : details.url,
+    method : details.method,
+    tabId : details.tabId,
+    frameId : details.frameId,
+    resourceType : details.type,
+    timeStamp : details.timeStamp,
+    requestHeaders : details.requestHeaders || noted.requestHeaders,
+    responseHeaders : details.responseHeaders,
+    statusCode : details.statusCode,
+    statusLine : details.statusLine,
+    redirectUrl : details.redirectUrl,
+    error : noted.error || details.error,
+    fromCache : details.fromCache,
+    tampered : Boolean(noted.tampered),
+  };
+  callbacks.forEach((callback) => {
+    callback.port.postMessage(
+        {type : "event", id : callback.id, event : requestEvent});
+  });
+};
+
+CallbackStore.prototype._noteRequest = function(requestId) {
+  if (typeof this._requests[requestId] === "undefined") {
+    this._requests[requestId] = {};
+  }
+  return this._requests[requestId];
+};
+
+/**
+ * Constructs a new AccessControl
+ * @classdesc A class for the management of which origins may use the
+ * tampering commands (see accessControlledCommands), and which urls each may
+ * tamper with. Origins are asked for once, by a notification, and the answer
+ * is stored.
+ * @constructor
+ */
+function AccessControl() {
+  // by origin, {allowed : Boolean, patterns : Array.<RegexSpec>|undefined}
+  this._origins = {};
+  // by origin, a promise of the answer to a prompt being shown.
+  this._prompts = {};
+  this._loaded = null;
+}
+
+/**
+ * The browser.storage.local key the origins are stored under.
+ * @type {String}
+ */
+AccessControl.storageKey = "accessControl";
+
+/**
+ * Reads the stored origins. Called once on startup.
+ * @return {Promise} resolves once loaded
+ */
+AccessControl.prototype.load = function() {
+  if (this._loaded === null) {
+    this._loaded =
+        storageGet(AccessControl.storageKey)
+            .then((items) => {
+              this._origins = items[AccessControl.storageKey] || {};
+            })
+            .catch((e) => {
+              dconsole.error(
+                  "TamperApi: background: failed to load access control: ", e);
+            });
+  }
+  return this._loaded;
+};
+
+/**
+ * Decides whether an origin may use the tampering commands, asking the user
+ * if it is not yet known.
+ * @param  {String} origin
+ * @return {Promise} resolves to true if it may, false otherwise
+ */
+AccessControl.prototype.request = function(origin) {
+  return this.load().then(() => {
+    var allowed = this.isAllowed(origin);
+    if (typeof allowed !== "undefined") {
+      return allowed;
+    }
+    return this._prompt(origin);
+  });
+};
+
+/**
+ * @param  {String} origin
+ * @return {Boolean|undefined} whether the origin may use the tampering
+ * commands, or undefined if that has not been decided.
+ */
+AccessControl.prototype.isAllowed = function(origin) {
+  if (origin === "null") {
+    // opaque origins can't be told apart, so can't be trusted.
+    return false;
+  }
+  var entry = this._origins[origin];
+  return entry ? entry.allowed : undefined;
+};
+
+/**
+ * @param  {String} origin
+ * @param  {String} url
+ * @return {Boolean} whether the origin is allowed, and may tamper with
+ * requests to the url.
+ */
+AccessControl.prototype.mayTamper = function(origin, url) {
+  if (this.isAllowed(origin) !== true) {
+    return false;
+  }
+  var patterns = this._origins[origin].patterns;
+  return !patterns || urlMatcherOf({regexes : patterns}).test(url);
+};
+
+/**
+ * Stores whether an origin may use the tampering commands.
+ * @param  {String} origin
+ * @param  {Boolean} allowed
+ * @param  {Array.<RegexSpec>} [patterns] if given, the origin may only tamper
+ * with requests to urls matching one of these.
+ * @return {Promise} resolves once stored
+ */
+AccessControl.prototype.set = function(origin, allowed, patterns) {
+  validateType(allowed, "boolean", "options.allowed");
+  if (typeof patterns !== "undefined" && patterns !== null) {
+    validateRegexSpecs(patterns, "options.patterns");
+  }
+  return this.load().then(() => {
+    var entry = {allowed : allowed};
+    if (patterns) {
+      entry.patterns = deepClone(patterns);
+    }
+    this._origins[origin] = entry;
+    return this._store();
+  });
+};
+
+/**
+ * @param  {String} origin
+ * @return {Boolean} whether the origin may only tamper with some urls, see
+ * AccessControl#set.
+ */
+AccessControl.prototype.isRestricted = function(origin) {
+  var entry = this._origins[origin];
+  return Boolean(entry && entry.patterns);
+};
+
+/**
+ * Forgets an origin, which is then asked for again.
+ * @param  {String} origin
+ * @return {Promise} resolves once stored
+ */
+AccessControl.prototype.remove = function(origin) {
+  return this.load().then(() => {
+    delete this._origins[origin];
+    return this._store();
+  });
+};
+
+/**
+ * @return {Object} copies of the origins' entries, by origin
+ */
+AccessControl.prototype.list = function() { return deepClone(this._origins); };
+
+/**
+ * @private
+ */
+AccessControl.prototype._store = function() {
+  var items = {};
+  items[AccessControl.storageKey] = this._origins;
+  // what the entries of the origin may tamper with changed.
+  syncDnrRules();
+  return storageSet(items);
+};
+
+/**
+ * Asks the user whether an origin may use the tampering commands. Closing
+ * the notification denies it, but only until asked again. Where
+ * notifications have no buttons (Firefox), clicking it allows the origin.
+ * @private
+ * @param  {String} origin
+ * @return {Promise} resolves to the answer
+ */
+AccessControl.prototype._prompt = function(origin) {
+  if (this._prompts[origin]) {
+    return this._prompts[origin];
+  }
+  var notificationId = "TamperApiAccess:" + origin;
+  var notifications = browser.notifications;
+  var hasButtons = typeof notifications.onButtonClicked !== "undefined";
+  var onAnswer =
+      hasButtons ? notifications.onButtonClicked : notifications.onClicked;
+  this._prompts[origin] = new Promise((resolve) => {
+    var onAnswered = (id, buttonIndex) => {
+      if (id !== notificationId) {
+        return;
+      }
+      var allowed = !hasButtons || buttonIndex === 0;
+      this.set(origin, allowed).catch((e) => {
+        dconsole.error("TamperApi: background: failed to store access of ",
+                       origin, ": ", e);
+      });
+      notifications.clear(notificationId);
+      done(allowed);
+    };
+    var onClosed = (id) => {
+      if (id === notificationId) {
+        done(false);
+      }
+    };
+    var done = (allowed) => {
+      onAnswer.removeListener(onAnswered);
+      notifications.onClosed.removeListener(onClosed);
+      delete this._prompts[origin];
+      resolve(allowed);
+    };
+    onAnswer.addListener(onAnswered);
+    notifications.onClosed.addListener(onClosed);
+    var options = {
+      type : "basic",
+      iconUrl : "icon128.png",
+      title : "Tamper Api",
+      message : origin + " wants to modify requests and responses."
+    };
+    if (hasButtons) {
+      options.buttons = [ {title : "Allow"}, {title : "Deny"} ];
+      options.requireInteraction = true;
+    } else {
+      options.message += " Click to allow it.";
+    }
+    notifications.create(notificationId, options);
+  });
+  return this._prompts[origin];
+};
+
+/**
+ * Constructs a new TrafficLog
+ * @classdesc A class recording the requests seen by the webRequest listeners,
+ * before and after tampering, in a ring buffer of the most recent
+ * TrafficLog.capacity entries. Each redirect starts a new entry.
+ * @constructor
+ */
+function TrafficLog() {
+  // oldest first
+  this._entries = [];
+  // the entries of requests under way, by requestId.
+  this._pending = {};
+}
+
+/**
+ * How many entries are kept.
+ * @type {Number}
+ */
+TrafficLog.capacity = 1000;
+
+/**
+ * A request recorded by the TrafficLog. Headers are in webRequest
+ * details.*headers format, and are only there as far as the request got.
+ * @typedef  {Object} LogEntry
+ * @property {String} requestId
+ * @property {String} url
+ * @property {String} method
+ * @property {Number} tabId
+ * @property {Number} frameId
+ * @property {String} resourceType e.g. 'xmlhttprequest', 'image'
+ * @property {String} [initiator]
+ * @property {Object} timings the timeStamps (in milliseconds) of 'start',
+ * 'sendHeaders', 'headersReceived' and 'end'
+ * @property {Array.<Object>} [requestHeaders] before tampering
+ * @property {Array.<Object>} [sentRequestHeaders] as sent
+ * @property {Number} [statusCode]
+ * @property {String} [statusLine]
+ * @property {Array.<Object>} [responseHeaders] as received
+ * @property {Array.<Object>} [tamperedResponseHeaders] as tampered with, if
+ * they were
+ * @property {String} [redirectUrl]
+ * @property {String} [error] e.g. 'net::ERR_CONNECTION_REFUSED', or the error
+ * of TamperSpec.action.fail
+ * @property {Boolean} [fromCache]
+ * @property {String} [ip]
+ * @property {Array.<Number>} [ruleIds] the ids of the MetaTamper entries
+ * which applied. Empty if the TamperSpec came by a tamper url.
+ * @property {Boolean} tampered whether a TamperSpec was applied
+ * @property {Array.<String>} [warnings] what of the TamperSpec couldn't be
+ * applied, and why
+ */
+
+/**
+ * Starts the entry of a request. Called by onBeforeRequest.
+ * @param  {Object} details webRequest details
+ */
+TrafficLog.prototype.start = function(details) {
+  var entry = {
+    requestId : details.requestId,
+    url : details.url,
+    method : details.method,
+    tabId : details.tabId,
+    frameId : details.frameId,
+    resourceType : details.type,
+    initiator : requestInitiator(details),
+    timings : {start : details.timeStamp},
+    tampered : false,
+  };
+  this._pending[details.requestId] = entry;
+  this._entries.push(entry);
+  if (this._entries.length > TrafficLog.capacity) {
+    var dropped = this._entries.shift();
+    if (this._pending[dropped.requestId] === dropped) {
+      delete this._pending[dropped.requestId];
+    }
+  }
+};
+
+/**
+ * Records the TamperSpec found for a request.
+ * @param  {String} requestId
+ * @param  {TamperSpec} tamperSpec
+ */
+TrafficLog.prototype.noteMatch = function(requestId, tamperSpec) {
+  this._update(requestId,
+               (entry) => { entry.ruleIds = tamperSpec.ruleIds || []; });
+};
+
+/**
+ * @param  {String} requestId
+ */
+TrafficLog.prototype.noteTampered = function(requestId) {
+  this._update(requestId, (entry) => { entry.tampered = true; });
+};
+
+/**
+ * @param  {String} requestId
+ * @param  {String} error the error the request is made to fail with
+ */
+TrafficLog.prototype.noteError = function(requestId, error) {
+  this._update(requestId, (entry) => { entry.error = error; });
+};
+
+/**
+ * @param  {String} requestId
+ * @param  {String} warning what of the TamperSpec couldn't be applied, and
+ * why
+ */
+TrafficLog.prototype.noteWarning = function(requestId, warning) {
+  this._update(requestId, (entry) => {
+    entry.warnings = (entry.warnings || []).concat(warning);
+  });
+};
+
+/**
+ * Records the request headers before they are tampered with. Called by
+ * onBeforeSendHeaders.
+ * @param  {Object} details webRequest details
+ */
+TrafficLog.prototype.noteRequestHeaders = function(details) {
+  this._update(details.requestId, (entry) => {
+    entry.requestHeaders = deepClone(details.requestHeaders);
+  });
+};
+
+/**
+ * Records the request headers as sent. Called by onSendHeaders.
+ * @param  {Object} details webRequest details
+ */
+TrafficLog.prototype.noteSentHeaders = function(details) {
+  this._update(details.requestId, (entry) => {
+    entry.sentRequestHeaders = deepClone(details.requestHeaders);
+    entry.timings.sendHeaders = details.timeStamp;
+  });
+};
+
+/**
+ * Records the response headers before they are tampered with. Called by
+ * onHeadersReceived.
+ * @param  {Object} details webRequest details
+ */
+TrafficLog.prototype.noteResponseHeaders = function(details) {
+  this._update(details.requestId, (entry) => {
+    entry.statusCode = details.statusCode;
+    entry.statusLine = details.statusLine;
+    entry.responseHeaders = deepClone(details.responseHeaders);
+    entry.timings.headersReceived = details.timeStamp;
+  });
+};
+
+/**
+ * @param  {String} requestId
+ * @param  {Array.<Object>} headers the response headers as tampered with
+ */
+TrafficLog.prototype.noteTamperedResponseHeaders = function(requestId,
+                                                            headers) {
+  this._update(requestId, (entry) => {
+    entry.tamperedResponseHeaders = deepClone(headers);
+  });
+};
+
+/**
+ * Completes the entry of a request. Called by onBeforeRedirect, onCompleted
+ * and onErrorOccurred.
+ * @param  {Object} details webRequest details
+ */
+TrafficLog.prototype.finish = function(details) {
+  this._update(details.requestId, (entry) => {
+    [ "statusCode", "statusLine", "redirectUrl", "fromCache", "ip" ].forEach(
+        (prop) => {
+          if (typeof details[prop] !== "undefined") {
+            entry[prop] = details[prop];
+          }
+        });
+    entry.error = entry.error || details.error;
+    entry.timings.end = details.timeStamp;
+  });
+  delete this._pending[details.requestId];
+};
+
+/**
+ * Lists entries, most recent last.
+ * @param  {Object} [filter]
+ * @param  {Array.<RegexSpec>} [filter.regexes] as for MetaTamper
+ * @param  {Array.<String>} [filter.urls] as for MetaTamper. If neither
+ * regexes nor urls are given, all urls are listed.
+ * @param  {Number} [filter.tabId] only the entries of this tab
+ * @param  {Boolean} [filter.tampered] only the entries which were (or if
+ * false, weren't) tampered with
+ * @param  {Number} [filter.since] only the entries started since this
+ * timeStamp
+ * @param  {Number} [filter.limit] only this many of the most recent entries
+ * @param  {Function} [mayRead] called with each entry, whether it may be
+ * listed at all
+ * @return {Array.<LogEntry>} copies of the entries
+ */
+TrafficLog.prototype.query = function(filter = {}, mayRead = () => true) {
+  var entries = this._entries.filter((entry) => {
+    return (typeof filter.tabId === "undefined" ||
+            entry.tabId === filter.tabId) &&
+           (typeof filter.tampered === "undefined" ||
+            entry.tampered === filter.tampered) &&
+           (typeof filter.since === "undefined" ||
+            entry.timings.start >= filter.since) &&
+           patternMatchesUrl(filter, entry.url) && mayRead(entry);
+  });
+  if (typeof filter.limit !== "undefined") {
+    entries = entries.slice(Math.max(entries.length - filter.limit, 0));
+  }
+  return deepClone(entries);
+};
+
+/**
+ * Removes entries.
+ * @param  {Number} [tabId] only those of this tab
+ */
+TrafficLog.prototype.clear = function(tabId) {
+  var keep = (entry) =>
+      typeof tabId !== "undefined" && entry.tabId !== tabId;
+  this._entries = this._entries.filter(keep);
+  for (var requestId in this._pending) {
+    if (!keep(this._pending[requestId])) {
+      delete this._pending[requestId];
+    }
+  }
+};
+
+/**
+ * @private
+ * @param  {String} requestId
+ * @param  {Function} update called with the entry of the request, if it is
+ * under way
+ */
+TrafficLog.prototype._update = function(requestId, update) {
+  var entry = this._pending[requestId];
+  if (typeof entry !== "undefined") {
+    update(entry);
+  }
+};
+
+/**
+ * Constructs a new DnrRules
+ * @classdesc A class keeping declarativeNetRequest rules in line with the
+ * entries of the TamperStore, for Manifest V3 where the webRequest listeners
+ * can't change requests. The entries of rule sets are compiled into dynamic
+ * rules, which apply from the start of the browser on, the others into
+ * session rules. What can't be expressed by rules is recorded, see
+ * DnrRules#report.
+ * @constructor
+ */
+function DnrRules() {
+  // the DnrNotes of the last compilation
+  this._notes = [];
+  // the JSON of the rules last installed, by 'session' and 'dynamic'
+  this._installed = {};
+  // the JSON of each rule installed, by 'session' and 'dynamic', then by id
+  this._rules = {session : {}, dynamic : {}};
+  // whether RE2, which rules use, supports a regex, by its RegexSpec's JSON
+  this._regexSupport = {};
+  // the sync waiting for the one under way, and the last one started
+  this._queued = null;
+  this._done = Promise.resolve();
+}
+
+/**
+ * The resource types rules apply to, all there are. Without them, rules
+ * leave out main_frame.
+ * @type {Array.<String>}
+ */
+DnrRules.resourceTypes = [
+  "main_frame", "sub_frame", "stylesheet", "script", "image", "font", "object",
+  "xmlhttprequest", "ping", "csp_report", "media", "websocket", "other"
+];
+
+/**
+ * The request methods rules tell apart, lower case. Others are all 'other'.
+ * @type {Array.<String>}
+ */
+DnrRules.requestMethods =
+    [ "connect", "delete", "get", "head", "options", "patch", "post", "put" ];
+
+/**
+ * Something of an entry which can't be expressed by declarativeNetRequest
+ * rules.
+ * @typedef  {Object} DnrNote
+ * @property {Number} [id] the id of the MetaTamper entry
+ * @property {String} [key] the key of the TamperSpec stored per url, as
+ * listed by ListTabTampers
+ * @property {Number} [tabId] the tab of the entry, -1 if none. Notes without
+ * one concern all entries.
+ * @property {String} path where in the entry, e.g. 'tamper.cookies'
+ * @property {String} degradation 'skipped' if the entry is not applied at
+ * all, 'ignored' if only that part of it isn't, or 'approximated' if it is
+ * applied differently
+ * @property {String} msg how
+ */
+
+/**
+ * Compiles the entries into rules and installs them, once the sync under way,
+ * if any, is done. Syncs asked for meanwhile are done as one.
+ * @return {Promise} resolves once done. Never rejects; failures are logged,
+ * and noted (see DnrRules#report).
+ */
+DnrRules.prototype.sync = function() {
+  if (this._queued === null) {
+    this._queued = this._done.then(() => {
+      this._queued = null;
+      return this._install();
+    });
+    this._done = this._queued;
+  }
+  return this._queued;
+};
+
+/**
+ * Lists what of the entries could not be expressed by rules when last
+ * synced.
+ * @param  {Number} [tabId] only what concerns the entries of this tab
+ * @return {Array.<DnrNote>}
+ */
+DnrRules.prototype.report = function(tabId) {
+  return deepClone(this._notes.filter(
+      (note) => typeof tabId === "undefined" ||
+                typeof note.tabId === "undefined" || note.tabId === tabId));
+};
+
+/**
+ * Works out what of a MetaTamper entry can't be expressed by rules, e.g. to
+ * answer the command which added it. Whether its regexes are supported, and
+ * whether the browser takes its rules, is only known once synced.
+ * @param  {Object} entry as stored by TamperStore#addPattern
+ * @return {Array.<DnrNote>}
+ */
+DnrRules.prototype.notesOf = function(entry) {
+  var notes = [];
+  this._compileEntry(entry,
+                     this._noter(notes, {id : entry.id, tabId : entry.tabId}));
+  // those of installing its rules, see DnrRules#_compile and #_update.
+  return notes.concat(this.report().filter(
+      (note) => note.id === entry.id && note.path === ""));
+};
+
+/**
+ * @private
+ * @return {Promise} resolves once the rules are installed. Never rejects.
+ */
+DnrRules.prototype._install = function() {
+  var entries =
+      tamperState._patternMods.filter((entry) => entry.enabled !== false);
+  var regexSpecs = [];
+  entries.forEach((entry) => {
+    regexSpecs = regexSpecs.concat(entry.regexes || []);
+    var redirect = entry.tamper.redirect;
+    if (redirect && redirect.regex) {
+      regexSpecs.push(redirect.regex);
+    }
+  });
+  return this._checkRegexes(regexSpecs)
+      .then(() => {
+        var compiled = this._compile(entries, tamperState._data);
+        this._notes = compiled.notes;
+        return Promise.all([
+          this._update("dynamic", compiled.groups.dynamic),
+          this._update("session", compiled.groups.session)
+        ]);
+      })
+      .catch((e) => {
+        dconsole.error("TamperApi: background: failed to install rules: ", e);
+        this._notes.push({
+          path : "",
+          degradation : "skipped",
+          msg : "the rules could not be installed: " + e.message
+        });
+      });
+};
+
+/**
+ * Finds out which regexes RE2 supports, as far as not known yet.
+ * @private
+ * @param  {Array.<RegexSpec>} regexSpecs
+ * @return {Promise} resolves once known
+ */
+DnrRules.prototype._checkRegexes = function(regexSpecs) {
+  return Promise.all(regexSpecs.map((regexSpec) => {
+    var key = JSON.stringify(regexSpec);
+    if (typeof this._regexSupport[key] !== "undefined") {
+      return;
+    }
+    var options = {
+      regex : regexSpec[0],
+      isCaseSensitive : !(regexSpec[1] || "").includes("i")
+    };
+    return browser.declarativeNetRequest.isRegexSupported(options).then(
+        (result) => {
+          this._regexSupport[key] = Boolean(result && result.isSupported);
+        });
+  }));
+};
+
+/**
+ * Compiles the entries into rules. The TamperSpecs stored per url take
+ * precedence over the pattern based entries, as in TamperStore#get, which in
+ * turn take precedence in their order. Rules of equal precedence all apply,
+ * whether the entries 'merge' or not; where they set the same header, the
+ * one of higher precedence wins.
+ * @private
+ * @param  {Array.<Object>} entries the enabled pattern based entries, in
+ * order of precedence
+ * @param  {Object} data the TamperSpecs stored per url, by key
+ * @return {Object} with the rules, by 'session' and 'dynamic', the same by
+ * entry as 'groups', each with its 'rules' and the function to 'note' what
+ * becomes of them, and the DnrNotes as 'notes'
+ */
+DnrRules.prototype._compile = function(entries, data) {
+  var compiled = {
+    session : [],
+    dynamic : [],
+    groups : {session : [], dynamic : []},
+    notes : []
+  };
+  var api = browser.declarativeNetRequest;
+  var maxRules = {
+    session : api.MAX_NUMBER_OF_SESSION_RULES || 5000,
+    dynamic : api.MAX_NUMBER_OF_DYNAMIC_RULES || 5000
+  };
+  var maxRegexRules = api.MAX_NUMBER_OF_REGEX_RULES || 1000;
+  var regexRules = 0;
+  var priority = entries.length + 2;
+  var add = (kind, rules, note) => {
+    var added = rules.filter((rule) => {
+      if (compiled[kind].length >= maxRules[kind] ||
+          (rule.condition.regexFilter && regexRules >= maxRegexRules)) {
+        return false;
+      }
+      if (rule.condition.regexFilter) {
+        regexRules++;
+      }
+      rule.priority = priority;
+      compiled[kind].push(rule);
+      return true;
+    });
+    compiled.groups[kind].push({rules : added, note : note});
+    if (added.length < rules.length) {
+      note("", added.length === 0 ? "skipped" : "approximated",
+           "there are more rules than the browser allows, some were left out.");
+    }
+  };
+  // removes the TamperSpec of tamper urls, which onBeforeRequest stores.
+  var markerRule = {
+    condition : {
+      regexFilter : "^(.*?)\\$TamperApi:[^:]*:\\$TamperApi(.*)$",
+      resourceTypes : DnrRules.resourceTypes
+    },
+    // one marker at a time, should there be several.
+    action : {type : "redirect", redirect : {regexSubstitution : "\\1\\2"}}
+  };
+  add("session", [ markerRule ], () => {});
+  priority--;
+  for (var key in data) {
+    if (data[key].fromPattern) {
+      continue;
+    }
+    var parts = key.split("::");
+    var tabId = Number(parts[0]);
+    var note = this._noter(compiled.notes, {key : key, tabId : tabId});
+    var entry = {
+      urls : [ parts.slice(2).join("::") ],
+      tamper : data[key],
+      tabId : tabId,
+      scope : "tab"
+    };
+    add("session", this._compileEntry(entry, note), note);
+  }
+  entries.forEach((entry) => {
+    priority--;
+    var note =
+        this._noter(compiled.notes, {id : entry.id, tabId : entry.tabId});
+    add(entry.ruleSet ? "dynamic" : "session",
+        this._compileEntry(entry, note), note);
+  });
+  // ids are given dynamic rules first, so they stay the same while the rule
+  // sets do.
+  compiled.dynamic.concat(compiled.session)
+      .forEach((rule, index) => { rule.id = index + 1; });
+  return compiled;
+};
+
+/**
+ * Compiles a tamper entry into rules, lacking ids and priorities.
+ * @private
+ * @param  {Object} entry as stored by TamperStore#addPattern
+ * @param  {Function} note called with the path, degradation and msg of a
+ * DnrNote, for what can't be expressed
+ * @return {Array.<Object>} the rules, none if the entry is skipped
+ */
+DnrRules.prototype._compileEntry = function(entry, note) {
+  var origin = entry.origin;
+  if (typeof origin !== "undefined" &&
+      accessControl.isAllowed(origin) !== true) {
+    // nor is it applied by the webRequest listeners, see _scanPatternMods.
+    return [];
+  }
+  var condition = {resourceTypes : DnrRules.resourceTypes};
+  if (entry.scope !== "global") {
+    condition.tabIds = [ entry.tabId ];
+  }
+  if (entry.scope === "frame") {
+    note("scope", "approximated",
+         "rules can't tell frames apart, it applies to the whole tab.");
+  }
+  if (entry.when && !dnrCondition(entry.when, condition, note)) {
+    return [];
+  }
+  var tamperSpec = entry.tamper;
+  var rules = [];
+  var addRules = (urlCondition, actions) => {
+    actions.forEach((action) => {
+      var ruleCondition = Object.assign(
+          {}, condition,
+          action.url ? dnrUrlCondition(action.url)
+                     : (action.condition || urlCondition));
+      rules.push({condition : ruleCondition, action : action.action});
+    });
+  };
+  var kind = urlPatternKind(entry);
+  if (typeof kind === "undefined") {
+    addRules({}, dnrActions(tamperSpec, undefined, note));
+    return rules;
+  }
+  if (kind === "urls") {
+    entry.urls
+        .filter((url) => typeof origin === "undefined" ||
+                         accessControl.mayTamper(origin, url))
+        .forEach((url) => addRules(dnrUrlCondition(url),
+                                   dnrActions(tamperSpec, url, note)));
+    return rules;
+  }
+  if (typeof origin !== "undefined" && accessControl.isRestricted(origin)) {
+    note(kind, "skipped",
+         "rules can't limit what regexes and match patterns match to the " +
+             "urls " + origin + " may tamper with.");
+    return [];
+  }
+  var actions = dnrActions(tamperSpec, undefined, note);
+  // those of a redirect by regex, which match urls of their own.
+  var regexActions = actions.filter((action) => action.condition);
+  actions = actions.filter((action) => !action.condition);
+  var regexSpecs = [];
+  if (kind === "matches") {
+    // RE2 supports the regexes they translate to.
+    regexSpecs =
+        entry.matches.map((pattern) => parseMatchPattern(pattern).regex);
+  } else {
+    regexSpecs = entry.regexes.filter((regexSpec, index) => {
+      if (this._regexSupport[JSON.stringify(regexSpec)] === false) {
+        note("regexes[" + index + "]", "skipped",
+             "rules use RE2, which doesn't support the regex.");
+        return false;
+      }
+      return true;
+    });
+  }
+  regexSpecs.forEach((regexSpec) => {
+    addRules(dnrRegexCondition(regexSpec), actions);
+  });
+  if (regexActions.length > 0) {
+    this._addRedirectByRegex(tamperSpec.redirect.regex, regexSpecs,
+                             regexActions, addRules, note);
+  }
+  return rules;
+};
+
+/**
+ * Adds the rules of a redirect by regex of an entry matching regexes or
+ * match patterns, as long as they apply to none but the urls it matches.
+ * @private
+ * @param  {RegexSpec} redirectSpec TamperSpec.redirect.regex
+ * @param  {Array.<RegexSpec>} regexSpecs what the entry matches, of those
+ * RE2 supports
+ * @param  {Array.<Object>} actions as returned by dnrActions(), with a
+ * 'condition'
+ * @param  {Function} addRules see DnrRules#_compileEntry
+ * @param  {Function} note see DnrRules#_compileEntry
+ */
+DnrRules.prototype._addRedirectByRegex = function(redirectSpec, regexSpecs,
+                                                  actions, addRules, note) {
+  var key = JSON.stringify(redirectSpec);
+  if (this._regexSupport[key] === false) {
+    note("tamper.redirect.regex", "skipped",
+         "rules use RE2, which doesn't support the regex.");
+    return;
+  }
+  var prefix = regexLiteralPrefix(redirectSpec);
+  var covered = regexSpecs.some((regexSpec) => {
+    if (JSON.stringify(regexSpec) === key) {
+      return true;
+    }
+    // one matching whatever starts with a text.
+    var start = regexLiteralPrefix(regexSpec);
+    return start !== "" && regexSpec[0] === "^" + escapeRegex(start) &&
+           prefix.startsWith(start);
+  });
+  if (!covered) {
+    note("tamper.redirect.regex", "ignored",
+         "rules can only redirect by a regex which matches no more than " +
+             "the entry does, as one of its regexes or a longer prefix.");
+    return;
+  }
+  addRules({}, actions);
+};
+
+/**
+ * @private
+ * @param  {Array.<DnrNote>} notes to add to
+ * @param  {Object} source the properties identifying the entry, 'id' or
+ * 'key', and 'tabId'
+ * @return {Function} adding a DnrNote from its path, degradation and msg,
+ * unless it was added already.
+ */
+DnrRules.prototype._noter = function(notes, source) {
+  return (path, degradation, msg) => {
+    var note = Object.assign(
+        {path : path, degradation : degradation, msg : msg}, source);
+    if (!notes.some((other) => JSON.stringify(other) ===
+                               JSON.stringify(note))) {
+      notes.push(note);
+    }
+  };
+};
+
+/**
+ * Replaces the session or dynamic rules, unless they are the same already.
+ * Only the rules which changed are removed and added. Should the browser
+ * refuse them, the rules of each entry are added on their own, and the
+ * entries whose rules are refused are noted as skipped.
+ * @private
+ * @param  {String} kind 'session' or 'dynamic'
+ * @param  {Array.<Object>} groups the rules by entry, as compiled by
+ * DnrRules#_compile
+ * @return {Promise} resolves once done
+ */
+DnrRules.prototype._update = function(kind, groups) {
+  var rules = [].concat(...groups.map((group) => group.rules));
+  var json = JSON.stringify(rules);
+  if (this._installed[kind] === json) {
+    return Promise.resolve();
+  }
+  var api = browser.declarativeNetRequest;
+  var update = (change) => (kind === "session")
+                                ? api.updateSessionRules(change)
+                                : api.updateDynamicRules(change);
+  var installed =
+      (kind === "session") ? api.getSessionRules() : api.getDynamicRules();
+  var known = this._rules[kind];
+  // adds rules not installed yet, noting their ids as installed.
+  var add = (rules) => {
+    rules = rules.filter((rule) => known[rule.id] !== JSON.stringify(rule));
+    if (rules.length === 0) {
+      return Promise.resolve();
+    }
+    return update({removeRuleIds : [], addRules : rules}).then(() => {
+      rules.forEach((rule) => { known[rule.id] = JSON.stringify(rule); });
+    });
+  };
+  var refused = false;
+  // adds the rules of each entry on their own, noting those refused.
+  var addEach = () => groups.reduce(
+      (done, group) => done.then(() => add(group.rules).catch((e) => {
+        refused = true;
+        group.note("", "skipped",
+                   "the browser refused its rules: " + e.message);
+      })),
+      Promise.resolve());
+  return installed
+      .then((installed) => {
+        var wanted = {};
+        rules.forEach((rule) => { wanted[rule.id] = JSON.stringify(rule); });
+        // those changed, or left by an earlier run of the worker.
+        var stale = (installed || [])
+                        .map((rule) => rule.id)
+                        .filter((id) => known[id] !== wanted[id]);
+        stale.forEach((id) => { delete known[id]; });
+        return (stale.length === 0)
+                   ? undefined
+                   : update({removeRuleIds : stale, addRules : []});
+      })
+      .then(() => add(rules).catch(addEach))
+      .then(() => {
+        if (!refused) {
+          this._installed[kind] = json;
+        }
+      });
+};
+
+var dconsole;
+dconsole = {
+  log : function() {
+    if (!dconsole._shouldPrint('log')) {
+      return;
+    }
+    console.log.apply(console.log, arguments);
+  },
+  error : function() {
+    if (!dconsole._shouldPrint('error')) {
+      return;
+    }
+    console.error.apply(console.error, arguments);
+  },
+  debug : function() {
+    if (!dconsole._shouldPrint('debug')) {
+      return;
+    }
+    console.log.apply(console.log, arguments);
+  },
+  _shouldPrint : function(msgType) {
+    return (dconsole._typeToNumber(msgType) >=
+            dconsole._typeToNumber(logLevel));
+  },
+  _typeToNumber : function(msgType) {
+    var lookup = {
+      'debug' : 1,
+      'log' : 2,
+      'error' : 3,
+    };
+    return lookup[msgType];
+  }
+};
+
+/**
+  The client must send us a url which contains $TamperApi:payload:$TamperApi
+  where payload embeds a {TamperSpec} (described elsewhere), see
+  decodeTamperPayload. There may be several such markers, see parseTamperUrl.
+  Usually handled transparently by the page-side api.
+
+  Requests with a TamperSpec which alters the url are redirected to the
+  altered url, and the TamperSpec carried over to it, for that request only
+  (see TamperStore#carryOver).
+
+  Requests with a TamperSpec which mocks the response are redirected to a data:
+  url holding the mocked body. Requests made with fetch() or XMLHttpRequest
+  by pages using the page-side api are mocked there instead, in full, and don't
+  reach us.
+
+  Both only happen if the Condition of the TamperSpec's entry, if any, can
+  already be decided to hold. The other parts of a TamperSpec are applied if
+  it holds by the time they are: the request headers in onBeforeSendHeaders,
+  the response headers in onHeadersReceived.
+
+  Where the listeners can't change requests (see blockingWebRequest), they
+  still record what applies, for callbacks and the log, but rules do the
+  tampering. The TamperSpec of a tamper url is stored for the original url,
+  to be compiled into rules (see DnrRules), and a rule requests that instead.
+  Only requests started once the rules are in place are tampered with, which
+  the page-side api waits for.
+*/
+browser.webRequest.onBeforeRequest.addListener(function(details) {
+  dconsole.debug("tamperApi: onBeforeRequest: details: ", details);
+  var tamperUrl = parseTamperUrl(details.url);
+  if (tamperUrl === null) {
+    // tamper urls themselves are left out, they're only a means.
+    trafficLog.start(details);
+    var tamperSpec =
+        tamperState.get(details.tabId, details.frameId, details.url, details);
+    if (tamperSpec !== null) {
+      trafficLog.noteMatch(details.requestId, tamperSpec);
+    }
+    if (tamperSpec === null || tamperSpec.condition) {
+      return;
+    }
+    if (failsRequest(tamperSpec.action, details)) {
+      tamperState.countUse(tamperSpec);
+      return {cancel : true};
+    }
+    if (tamperSpec.response.mock) {
+      noteTampered(details.requestId);
+      tamperState.countUse(tamperSpec);
+      return serveMock(details, tamperSpec.response.mock);
+    }
+    var tamperedUrl = redirectTarget(details, details.url, tamperSpec);
+    if (tamperedUrl === details.url) {
+      return;
+    }
+    if (!blockingWebRequest) {
+      // a rule redirects it, see dnrActions.
+      noteTampered(details.requestId);
+      return;
+    }
+    dconsole.debug("tamperApi::onBeforeRequest: altering url to: ",
+                   tamperedUrl);
+    // counted against the entry it came from now, as what the request
+    // carries over below no longer refers to it.
+    tamperState.countUse(tamperSpec);
+    delete tamperSpec.fromPattern;
+    // done with, the rewritten url mustn't be rewritten again.
+    delete tamperSpec.redirect;
+    // for this request only, the entry may be gone by the next.
+    tamperState.carryOver(details.requestId, tamperSpec);
+    noteTampered(details.requestId);
+    return {redirectUrl : tamperedUrl};
+  }
+  var origUrl = tamperUrl.url;
+  // undefined if the browser itself made the request, e.g. for a typed url.
+  var origin = requestInitiator(details);
+  if (typeof origin !== "undefined" &&
+      !accessControl.mayTamper(origin, origUrl)) {
+    if (typeof accessControl.isAllowed(origin) === "undefined") {
+      // too late for this request, but the origin is asked for next time.
+      accessControl.request(origin);
+    }
+    dconsole.log("tamperApi::onBeforeRequest: ", origin,
+                 " may not tamper with ", origUrl);
+    return {redirectUrl : origUrl};
+  }
+  dconsole.debug(
+      "tamperApi::onBeforeRequest: tamperApi url syntax detected. orig url was: ",
+      origUrl, " tamperApi payloads (pre decode) were: ", tamperUrl.payloads);
+  var altRequestId =
+      tamperState.makeKey(details.tabId, details.frameId, origUrl);
+  dconsole.debug(
+      "tamperApi::onBeforeRequest: scheduling request for modification where alternate id was: ",
+      altRequestId);
+  var invalid = (e) => {
+    // better the request be made untampered than not at all.
+    dconsole.error("tamperApi::onBeforeRequest: invalid TamperSpec in url ",
+                   details.url, ": ", e);
+    return {redirectUrl : origUrl};
+  };
+  var reqModifyOpts;
+  try {
+    reqModifyOpts = decodeTamperPayloads(tamperUrl.payloads, details.tabId);
+  } catch (e) {
+    return invalid(e);
+  }
+  if (reqModifyOpts instanceof Promise) {
+    // compressed. Firefox waits for blocking listeners returning a promise.
+    return reqModifyOpts.then(
+        (reqModifyOpts) => tamperUrlRequested(details, origUrl, reqModifyOpts),
+        invalid);
+  }
+  return tamperUrlRequested(details, origUrl, reqModifyOpts);
+}, {urls : [ "<all_urls>" ]}, listenerOptions([]));
+
+/**
+ * Handles the request of a tamper url in onBeforeRequest, once its
+ * TamperSpec is decoded.
+ * @param  {Object} details webRequest details of the request
+ * @param  {String} origUrl the url without the tamper markers
+ * @param  {TamperSpec} reqModifyOpts normalized
+ * @return {Object|undefined} a webRequest BlockingResponse
+ */
+function tamperUrlRequested(details, origUrl, reqModifyOpts) {
+  reqModifyOpts.requestId = null;
+  reqModifyOpts.origin = requestInitiator(details);
+  dconsole.debug("tamperApi::onBeforeRequest: modifyOpts given was: ",
+                 reqModifyOpts);
+  noteTampered(details.requestId);
+  if (!blockingWebRequest) {
+    tamperState.set(details.tabId, details.frameId, origUrl, reqModifyOpts);
+    return;
+  }
+  if (failsRequest(reqModifyOpts.action, details)) {
+    return {cancel : true};
+  }
+  if (reqModifyOpts.response.mock) {
+    return serveMock(details, reqModifyOpts.response.mock);
+  }
+  var redirectUrl = redirectTarget(details, origUrl, reqModifyOpts);
+  delete reqModifyOpts.redirect;
+  if (reqModifyOpts.opts.once) {
+    // for this request only, not others to the url, even meanwhile.
+    tamperState.carryOver(details.requestId, reqModifyOpts);
+  } else {
+    tamperState.set(details.tabId, details.frameId, redirectUrl,
+                    reqModifyOpts);
+  }
+
+  return {redirectUrl : redirectUrl};
+}
+
+browser.webRequest.onBeforeSendHeaders.addListener(function(details) {
+  trafficLog.noteRequestHeaders(details);
+  var altRequestId =
+      tamperState.makeKey(details.tabId, details.frameId, details.url);
+  dconsole.debug("tamperApi: onBeforeSendHeaders: saw request with alt id: ",
+                 altRequestId);
+  var reqModifyOpts = tamperState.get(details.tabId, details.frameId,
+                                      details.url, details);
+  if (reqModifyOpts === null) {
+    return;
+  }
+  trafficLog.noteMatch(details.requestId, reqModifyOpts);
+  dconsole.debug(
+      "tamperApi: onBeforeSendHeaders: detected request scheduled for modification:",
+      altRequestId);
+  dconsole.debug("tamperApi: onBeforeSendHeaders: modifyOpts was: ",
+                 reqModifyOpts);
+  reqModifyOpts.requestId = details.requestId;
+  if (isPreflight(details)) {
+    // what onHeadersReceived needs to answer it.
+    reqModifyOpts.preflight = {
+      method : getHeader(details.requestHeaders,
+                         "Access-Control-Request-Method"),
+      headers : getHeader(details.requestHeaders,
+                          "Access-Control-Request-Headers")
+    };
+  } else {
+    delete reqModifyOpts.preflight;
+  }
+  tamperState.setForRequest(details.tabId, details.frameId, details.url,
+                            reqModifyOpts);
+  if (reqModifyOpts.condition) {
+    // only the response may yet be tampered with.
+    return;
+  }
+  var requestHeaders = details.requestHeaders;
+  if (reqModifyOpts.headers) {
+    requestHeaders = setHeaders(requestHeaders, reqModifyOpts.headers);
+  }
+  if (reqModifyOpts.remove) {
+    requestHeaders = removeHeaders(requestHeaders, reqModifyOpts.remove);
+  }
+  if (reqModifyOpts.headerOps) {
+    requestHeaders =
+        applyHeaderOps(requestHeaders, reqModifyOpts.headerOps, details);
+  }
+  if (reqModifyOpts.cookies) {
+    requestHeaders = tamperCookies(requestHeaders, reqModifyOpts.cookies);
+  }
+  noteTampered(details.requestId);
+
+  return {requestHeaders : requestHeaders};
+}, {urls : [ "<all_urls>" ]},
+   listenerOptions([ "requestHeaders" ].concat(extraHeaders)));
+
+browser.webRequest.onSendHeaders.addListener(function(details) {
+  trafficLog.noteSentHeaders(details);
+  if (!callbackState.hasCallbacks()) {
+    return;
+  }
+  callbackState.noteRequestHeaders(details);
+  callbackState.dispatch("request", details);
+}, {urls : [ "<all_urls>" ]}, [ "requestHeaders" ]);
+
+browser.webRequest.onHeadersReceived.addListener(function(details) {
+  dconsole.debug("tamperApi: onHeadersReceived: details: ", details);
+  trafficLog.noteResponseHeaders(details);
+  var reqModifyOpts = tamperState.getByRequestId(details.requestId);
+  if (reqModifyOpts === null) {
+    return;
+  }
+  var responseHeaders = null;
+  var conditionHolds = true;
+  if (reqModifyOpts.condition) {
+    conditionHolds =
+        evaluateCondition(reqModifyOpts.condition, details) === true;
+  }
+  if (reqModifyOpts.response && conditionHolds) {
+    noteTampered(details.requestId);
     responseHeaders = details.responseHeaders;
     if (reqModifyOpts.response.headers) {
       responseHeaders =
           setHeaders(responseHeaders, reqModifyOpts.response.headers);
     }
-    if (reqModifyOpts.response.remove) {
-      responseHeaders =
-          removeHeaders(responseHeaders, reqModifyOpts.response.remove);
+    if (reqModifyOpts.response.remove) {
+      responseHeaders =
+          removeHeaders(responseHeaders, reqModifyOpts.response.remove);
+    }
+    if (reqModifyOpts.response.headerOps) {
+      responseHeaders = applyHeaderOps(
+          responseHeaders, reqModifyOpts.response.headerOps, details);
+    }
+    if (reqModifyOpts.response.cookies) {
+      responseHeaders =
+          tamperSetCookies(responseHeaders, reqModifyOpts.response.cookies);
+    }
+    if (reqModifyOpts.response.body && !isRedirect(details) &&
+        !reqModifyOpts.preflight &&
+        filterResponseBody(details.requestId, reqModifyOpts.response.body)) {
+      // the length of the body changes.
+      responseHeaders = removeHeaders(responseHeaders, [ "Content-Length" ]);
+    }
+  }
+  if (reqModifyOpts.cors && conditionHolds) {
+    noteTampered(details.requestId);
+    responseHeaders = responseHeaders || details.responseHeaders;
+    responseHeaders =
+        setHeaders(responseHeaders, corsHeaders(reqModifyOpts, details));
+  }
+  // redirects are seen to in onBeforeRedirect, and preflights precede the
+  // request proper.
+  if (!isRedirect(details) && !reqModifyOpts.preflight) {
+    dconsole.debug(
+        "tamperApi: onHeadersReceived: request received which seems to be done (no redirects): ",
+        details);
+    /**
+     * By default, we don't remove the tamper spec for a url.
+     *
+     * This is for e.g. partial content (Range header), or other instances where
+     * the browser will continually re-request an url. It would be nice if the
+     * browser used the original (including tamper spec string) url, but it
+     * requests the url *after* we strip out the tamper spec and internally
+     * redirect, which is useless to us.
+     *
+     * The user may limit it, however, by setting <TamperSpec.opts.once>,
+     * <TamperSpec.opts.times>, <TamperSpec.opts.ttl> or
+     * <TamperSpec.opts.until>.
+     */
+    if (conditionHolds) {
+      tamperState.countUse(reqModifyOpts);
+    }
+  }
+  dconsole.debug(
+      "tamperApi: onHeadersReceived: at end of handler tamperState data: ",
+      tamperState.getData());
+  if (responseHeaders !== null) {
+    dconsole.debug("modifying response headers to: ", responseHeaders);
+    trafficLog.noteTamperedResponseHeaders(details.requestId, responseHeaders);
+    return {responseHeaders : responseHeaders};
+  }
+}, {urls : [ "<all_urls>" ]},
+   listenerOptions([ "responseHeaders" ].concat(extraHeaders)));
+
+/**
+  Whatever the status code, and whether the Location was relative or not,
+  details.redirectUrl is where the browser goes next, under the same
+  requestId. The TamperSpec applied to the request (if it got as far as
+  onBeforeSendHeaders) is carried over to it, as opts.followRedirects allows.
+  If it doesn't, nothing applies to the rest of the request.
+  Redirects made by onBeforeRequest happen before that, and see to their own
+  TamperSpec.
+*/
+browser.webRequest.onBeforeRedirect.addListener(function(details) {
+  dconsole.debug("tamperApi: onBeforeRedirect: details: ", details);
+  callbackState.dispatch("redirect", details);
+  trafficLog.finish(details);
+  var reqModifyOpts = tamperState.getByRequestId(details.requestId);
+  if (reqModifyOpts === null) {
+    return;
+  }
+  if (reqModifyOpts.key) {
+    tamperState.removeDirect(reqModifyOpts.key);
+  }
+  if (followsRedirect(reqModifyOpts, details.url, details.redirectUrl)) {
+    dconsole.debug("tamperApi: onBeforeRedirect: carrying TamperSpec over to: ",
+                   details.redirectUrl);
+    tamperState.carryOver(details.requestId, reqModifyOpts);
+  } else {
+    // nor does whatever matches the target, it's done with.
+    tamperState.leaveAlone(details.requestId);
+  }
+}, {urls : [ "<all_urls>" ]}, [ "responseHeaders" ]);
+
+browser.webRequest.onCompleted.addListener(function(details) {
+  callbackState.dispatch("response", details);
+  trafficLog.finish(details);
+  callbackState.forgetRequest(details.requestId);
+  tamperState.forgetRequest(details.requestId);
+}, {urls : [ "<all_urls>" ]}, [ "responseHeaders" ]);
+
+browser.webRequest.onErrorOccurred.addListener(function(details) {
+  callbackState.dispatch("error", details);
+  trafficLog.finish(details);
+  callbackState.forgetRequest(details.requestId);
+  tamperState.forgetRequest(details.requestId);
+}, {urls : [ "<all_urls>" ]});
+
+/**
+ * Constructs a new TamperApiError
+ * @classdesc An error to be reported to the client, see errorResponse.
+ * @constructor
+ * @param {ErrorCode} code
+ * @param {String} message
+ * @param {String} [path] where in the TamperApiMsg the problem is, e.g.
+ * "options.tamper.headers.X-Foo"
+ */
+function TamperApiError(code, message, path) {
+  this.name = "TamperApiError";
+  this.code = code;
+  this.message = message;
+  this.path = path;
+  this.stack = new Error(message).stack;
+}
+TamperApiError.prototype = Object.create(Error.prototype);
+TamperApiError.prototype.constructor = TamperApiError;
+
+/**
+ * Why a command failed, the 'code' of its response.
+ * @typedef ErrorCode
+ * @type {String}
+ * @property {String} INVALID_MESSAGE the TamperApiMsg had no command.
+ * @property {String} UNKNOWN_COMMAND
+ * @property {String} INVALID_PARAMS TamperApiMsg.options were not as the
+ * command requires. The response's 'path' says where.
+ * @property {String} NOT_FOUND what the command refers to does not exist.
+ * @property {String} ACCESS_DENIED see AccessControl.
+ * @property {String} INTERNAL_ERROR anything else.
+ */
+
+/**
+ * @param  {Error} e
+ * @return {Object} the response to a command which failed with e
+ */
+function errorResponse(e) {
+  if (!(e instanceof TamperApiError)) {
+    dconsole.error("TamperApi: background: command failed: ", e);
+  }
+  var resp = {
+    success : false,
+    code : e.code || "INTERNAL_ERROR",
+    msg : e.message
+  };
+  if (typeof e.path !== "undefined") {
+    resp.path = e.path;
+  }
+  return resp;
+}
+
+/**
+ * A message from the client side.
+ * @typedef {Object} TamperApiMsg
+ * @property {TamperCmd} command
+ * @property {Object} options user provided object. Req'd properties depend on
+ * 'command'.
+ */
+
+/**
+ * :String
+ * @typedef TamperCmd
+ * @property {String} sendBackground Prompts an echo response from extension.
+ * @property {String} RegisterCb Registers a page-side callback for the events
+ * of requests. Only accepted over a port named 'TamperApiEvents' (see
+ * browser.runtime.onConnect below), to which the events are then posted.
+ * TamperApiMsg.options.id must be set to an id for the callback, unique for
+ * the port, and TamperApiMsg.options.event to one of CallbackStore.events.
+ * TamperApiMsg.options.regexes, urls and scope are as for MetaTamper, except
+ * that if neither regexes nor urls are given, all urls are observed. Of
+ * those, only requests to urls the sender's origin may tamper with are posted.
+ * @property {String} UnregisterCb Removes the callback whose id is
+ * TamperApiMsg.options.id. Only accepted over the port it was registered
+ * over.
+ * @property {String} MetaTamper Provides for normal tampering on requests whose
+ * urls match one of the provides regexes. Either TamperApiMsg.options.regexes
+ * or TamperApiMsg.options.urls must be set. For 'regexes', it is an array of
+ * RegexSpec. If using the page-size tamperApi.add(), you may specify the
+ * regexes as actual js RegExp objs. For 'urls' it is an array of url strings.
+ * In either case, any one particular url / regex which matches will trigger
+ * the tampering. TamperApiMsg.options.when may be set to a Condition which
+ * must also hold, in which case regexes and urls may be omitted.
+ * TamperApiMsg.options.priority and merge decide what happens when several
+ * entries match (see TamperStore#_scanPatternMods).
+ * TamperApiMsg.options.tamper must be set a TamperSpec.
+ * TamperApiMsg.options.scope may be 'tab' (the default), 'frame' or 'global',
+ * restricting the tampering to requests of the registering tab, of the
+ * registering frame, or not at all. Tab and frame scoped entries are removed
+ * when their tab closes or navigates. The response has the property 'id',
+ * identifying the new entry. Where declarativeNetRequest rules do the
+ * tampering, it also has 'degraded', the DnrNotes of the entry.
+ * @property {String} RemoveMetaTamper Removes the MetaTamper entry whose id is
+ * TamperApiMsg.options.id.
+ * @property {String} ListMetaTamper Responds with the MetaTamper entries in the
+ * property 'entries', each of which has an 'id'.
+ * @property {String} ClearMetaTamper Removes the MetaTamper entries of the
+ * sending tab, or if sent from no tab, all MetaTamper entries, and the stored
+ * rule sets.
+ * @property {String} SaveRuleSet Stores the rule set named
+ * TamperApiMsg.options.name, an array of MetaTamper options given as
+ * TamperApiMsg.options.rules, and makes them active in place of any previous
+ * rules of that name. Stored rule sets are made active again on startup. Their
+ * scope is always 'global'.
+ * @property {String} LoadRuleSet Responds with the rules of the stored rule set
+ * named TamperApiMsg.options.name, in the property 'rules'.
+ * @property {String} DeleteRuleSet Removes the stored rule set named
+ * TamperApiMsg.options.name, and its rules.
+ * @property {String} ListRuleSets Responds with the names of the stored rule
+ * sets, in the property 'names'.
+ * @property {String} GetTamper Responds with the TamperSpec, or null, which
+ * applies to a request from the sender to TamperApiMsg.options.url in the
+ * property 'tamper'. TamperApiMsg.options.method and headers (a key-value map)
+ * describe the request further. Used by the page-side fetch / XMLHttpRequest
+ * wrappers to apply TamperSpec.method and TamperSpec.body, which can't be done
+ * here. The response comes once the rules of a tamper url are in place, and
+ * says whether rules are in use in the property 'declarative'.
+ * @property {String} HasPageSideTamper Responds with whether anything which
+ * may apply to the sender's requests has parts applied page-side (see
+ * tampersPageSide), in the property 'pageSide'. Until it does, or the page
+ * uses TamperApi, the page-side wrappers leave requests alone. Tabs are sent
+ * a "PageSideTamper" message when such an entry is added for them later.
+ * @property {String} RegisterTamperUrl Registers the TamperSpec
+ * TamperApiMsg.options.tamper for tamper urls embedding only the token
+ * TamperApiMsg.options.token (see decodeTamperPayload). Only the sender's tab
+ * may use them, until the sender's frame navigates.
+ * @property {String} UpdateMetaTamper Changes the MetaTamper entry whose id is
+ * TamperApiMsg.options.id, see TamperStore#updatePattern.
+ * TamperApiMsg.options.changes are the MetaTamper options to replace. The
+ * response has 'degraded' as for MetaTamper.
+ * @property {String} ListTabTampers Responds with what applies to the requests
+ * of the tab TamperApiMsg.options.tabId: the MetaTamper entries in the
+ * property 'entries', the TamperSpecs stored per url in 'direct', and the
+ * tab's url in 'url'. Messages from a tab get their own tab's, and only what
+ * their origin added.
+ * @property {String} RemoveDirectTamper Removes the TamperSpec stored under
+ * TamperApiMsg.options.key, as listed by ListTabTampers.
+ * @property {String} ListOrigins Responds with the origins which were allowed
+ * or denied, see AccessControl, by origin in the property 'origins'.
+ * @property {String} SetOriginAccess Allows (TamperApiMsg.options.allowed
+ * true) or denies the origin TamperApiMsg.options.origin, optionally
+ * restricting it to the urls matching TamperApiMsg.options.patterns, an array
+ * of RegexSpec.
+ * @property {String} RemoveOrigin Forgets TamperApiMsg.options.origin, which
+ * is then asked for again.
+ * @property {String} GetLog Responds with the entries of the TrafficLog
+ * matching TamperApiMsg.options (see TrafficLog#query), in the property
+ * 'entries'.
+ * @property {String} ExportHar Responds with the same entries as GetLog, as a
+ * HAR 1.2 object in the property 'har'.
+ * @property {String} ClearLog Removes the entries of the TrafficLog, or those
+ * of the tab TamperApiMsg.options.tabId.
+ * @property {String} GetDnrReport Responds with whether declarativeNetRequest
+ * rules do the tampering, in the property 'declarative', and if so with what
+ * of the entries they can't express, as DnrNotes in the property 'report'
+ * (see DnrRules#report).
+ *
+ * Messages from a tab may only list, change or remove the MetaTamper entries
+ * that tab added, and only get the DnrNotes of those. Of what applies to the
+ * tab (see ListTabTampers), they only see and remove what their origin added.
+ * They only get at the log entries of that tab whose urls they may tamper
+ * with, and may not use the origin commands at all. Their origin must be
+ * allowed to use the
+ * accessControlledCommands, else the response has the 'code'
+ * "ACCESS_DENIED".
+ *
+ * Every command is responded to. If it failed, 'success' is false, 'code' is
+ * an ErrorCode and 'msg' describes the failure. For "INVALID_PARAMS", 'path'
+ * says which of TamperApiMsg.options was invalid.
+ */
+
+/**
+ * The commands an origin must be allowed to use, see AccessControl.
+ * @type {Array.<String>}
+ */
+const accessControlledCommands = [
+  "MetaTamper", "UpdateMetaTamper", "RegisterCb", "SaveRuleSet", "LoadRuleSet",
+  "DeleteRuleSet", "ListRuleSets", "GetLog", "ExportHar", "ClearLog"
+];
+
+/**
+ * The commands only the extension's own pages may use.
+ * @type {Array.<String>}
+ */
+const extensionCommands = [ "ListOrigins", "SetOriginAccess", "RemoveOrigin" ];
+
+/**
+ * A regex specification (array). Property names are the indexes.
+ * @typedef RegexSpec
+ * @type {Array}
+ * @property {String} 0 a regex string.
+ * @property {String} [1] a list of modifiers to the regex. E.g. 'gi' sets it to
+ * global case-insensitive.
+ */
+
+/**
+ * @param  {TamperApiMsg} msg
+ */
+browser.runtime.onMessage.addListener(function(msg, sender, sendResponse) {
+  if (!msg.command) {
+    sendResponse({
+      success : false,
+      code : "INVALID_MESSAGE",
+      msg : "msg did not have 'command' property, which is required."
+    });
+    return;
+  }
+  if (typeof msg.options === "undefined" || msg.options === null) {
+    msg.options = {};
+  }
+  ready.then(() => {
+    if (!sender.tab || !accessControlledCommands.includes(msg.command)) {
+      tryHandleCmd(msg, sender, sendResponse);
+      return;
+    }
+    var origin = senderOrigin(sender);
+    accessControl.request(origin).then((allowed) => {
+      if (allowed) {
+        tryHandleCmd(msg, sender, sendResponse);
+      } else {
+        sendResponse(accessDenied(origin));
+      }
+    });
+  });
+  // sendResponse is called asynchronously.
+  return true;
+});
+
+/**
+ * handleCmd, responding with the error should it throw.
+ * @param  {TamperApiMsg} msg
+ * @param  {MessageSender} sender
+ * @param  {Function} sendResponse
+ * @return {Boolean|undefined} true if sendResponse is called asynchronously
+ */
+function tryHandleCmd(msg, sender, sendResponse) {
+  try {
+    return handleCmd(msg, sender, sendResponse);
+  } catch (e) {
+    sendResponse(errorResponse(e));
+  }
+}
+
+/**
+ * Carries out a command, once its sender is known to be allowed to.
+ * @param  {TamperApiMsg} msg
+ * @param  {MessageSender} sender
+ * @param  {Function} sendResponse
+ * @return {Boolean|undefined} true if sendResponse is called asynchronously
+ */
+function handleCmd(msg, sender, sendResponse) {
+  var cmd = msg.command;
+  var senderTabId = sender.tab ? sender.tab.id : undefined;
+  if (cmd === "sendBackground") {
+    dconsole.debug(
+        "TamperApi: background: received sendBackground command. full msg was: ",
+        msg);
+    sendResponse(
+        "this is a response from background script to content script via sendResponse callback.");
+  } else if (cmd === "RegisterCb" || cmd === "UnregisterCb") {
+    sendResponse({
+      success : false,
+      code : "UNKNOWN_COMMAND",
+      msg : cmd + " is only accepted over a 'TamperApiEvents' port."
+    });
+  } else if (cmd === "MetaTamper") {
+    dconsole.debug(
+        "TamperApi: background: received MetaTamper cmd. full msg was: ", msg);
+    var id = addMetaTamper(msg.options, sender);
+    var resp = {
+      success : true,
+      msg : "MetaTamper entry created successfully.",
+      id : id
+    };
+    noteDegradations(resp, id).then(sendResponse);
+    // sendResponse is called asynchronously.
+    return true;
+  } else if (cmd === "RemoveMetaTamper") {
+    if (tamperState.removePattern(msg.options.id, senderTabId)) {
+      sendResponse(
+          {success : true, msg : "MetaTamper entry removed successfully."});
+    } else {
+      sendResponse({
+        success : false,
+        code : "NOT_FOUND",
+        msg : "no MetaTamper entry with id " + msg.options.id + " exists."
+      });
+    }
+  } else if (cmd === "UpdateMetaTamper") {
+    if (tamperState.updatePattern(msg.options.id, msg.options.changes,
+                                  senderTabId)) {
+      noteDegradations(
+          {success : true, msg : "MetaTamper entry updated successfully."},
+          msg.options.id)
+          .then(sendResponse);
+      // sendResponse is called asynchronously.
+      return true;
+    } else {
+      sendResponse({
+        success : false,
+        code : "NOT_FOUND",
+        msg : "no MetaTamper entry with id " + msg.options.id + " exists."
+      });
+    }
+  } else if (cmd === "ListMetaTamper") {
+    sendResponse({
+      success : true,
+      msg : "MetaTamper entries listed successfully.",
+      entries : tamperState.listPatterns(senderTabId)
+    });
+  } else if (cmd === "ClearMetaTamper") {
+    tamperState.clearPatterns(senderTabId);
+    // or they are activated again on the next start.
+    (sender.tab ? Promise.resolve() : removeStoredRuleSets())
+        .then(() => ({
+                success : true,
+                msg : "MetaTamper entries cleared successfully."
+              }),
+              errorResponse)
+        .then(sendResponse);
+    // sendResponse is called asynchronously.
+    return true;
+  } else if (cmd === "ListTabTampers") {
+    // senders with a tab may only look at their own, and at what their
+    // origin added to it.
+    var tabId = sender.tab ? sender.tab.id : msg.options.tabId;
+    var isOwn = (entry) => !sender.tab || entry.origin === senderOrigin(sender);
+    sendResponse({
+      success : true,
+      msg : "tamper entries of tab listed successfully.",
+      url : tabUrls[tabId],
+      entries : tamperState.listPatternsForTab(tabId).filter(isOwn),
+      direct : tamperState.listDirect(tabId).filter(isOwn)
+    });
+  } else if (cmd === "RemoveDirectTamper") {
+    var key = String(msg.options.key);
+    var stored = tamperState.getDirect(key);
+    if (stored === null ||
+        (sender.tab && (!key.startsWith(sender.tab.id + "::") ||
+                        stored.origin !== senderOrigin(sender)))) {
+      sendResponse({
+        success : false,
+        code : "NOT_FOUND",
+        msg : "no TamperSpec is stored under key " + key + "."
+      });
+    } else {
+      tamperState.removeDirect(key);
+      sendResponse({success : true, msg : "TamperSpec removed successfully."});
+    }
+  } else if (cmd === "GetTamper") {
+    getTamperForSender(msg.options, sender)
+        .then((tamper) => {
+          var resp = {
+            success : true,
+            msg : "TamperSpec retrieved successfully.",
+            tamper : tamper,
+            declarative : !blockingWebRequest
+          };
+          // the rules of a tamper url are in place before the page requests
+          // it.
+          return syncDnrRules().then(() => resp);
+        })
+        .catch(errorResponse)
+        .then(sendResponse);
+    // sendResponse is called asynchronously.
+    return true;
+  } else if (cmd === "HasPageSideTamper") {
+    sendResponse({
+      success : true,
+      msg : "page-side tampering checked successfully.",
+      pageSide : Boolean(sender.tab) &&
+                     tamperState.hasPageSide(sender.tab.id, sender.frameId)
+    });
+  } else if (cmd === "RegisterTamperUrl") {
+    if (!sender.tab) {
+      throw new TamperApiError("INVALID_PARAMS",
+                               "tamper urls can only be registered by tabs.");
+    }
+    validateType(msg.options.token, "string", "options.token");
+    if (!/^[A-Za-z0-9_-]{1,64}$/.test(msg.options.token)) {
+      throw new TamperApiError("INVALID_PARAMS",
+                               "token must be 1 to 64 base64url characters.",
+                               "options.token");
+    }
+    validateTamperSpec(msg.options.tamper, "options.tamper");
+    tamperState.setToken(msg.options.token, msg.options.tamper, sender.tab.id,
+                         sender.frameId);
+    sendResponse({success : true, msg : "tamper url registered successfully."});
+  } else if (cmd === "GetDnrReport") {
+    syncDnrRules().then(() => {
+      sendResponse({
+        success : true,
+        msg : "rule report retrieved successfully.",
+        declarative : !blockingWebRequest,
+        report : blockingWebRequest ? [] : dnrRules.report(senderTabId)
+      });
+    });
+    // sendResponse is called asynchronously.
+    return true;
+  } else if (cmd === "GetLog" || cmd === "ExportHar" || cmd === "ClearLog") {
+    sendResponse(handleLogCmd(cmd, msg.options, sender));
+  } else if (cmd === "SaveRuleSet" || cmd === "LoadRuleSet" ||
+             cmd === "DeleteRuleSet" || cmd === "ListRuleSets") {
+    Promise.resolve()
+        .then(() => handleRuleSetCmd(cmd, msg.options, senderOrigin(sender)))
+        .catch(errorResponse)
+        .then(sendResponse);
+    // sendResponse is called asynchronously.
+    return true;
+  } else if (extensionCommands.includes(cmd)) {
+    if (sender.tab) {
+      sendResponse(accessDenied(senderOrigin(sender)));
+      return;
+    }
+    Promise.resolve()
+        .then(() => handleOriginCmd(cmd, msg.options))
+        .catch(errorResponse)
+        .then(sendResponse);
+    // sendResponse is called asynchronously.
+    return true;
+  } else {
+    dconsole.error(
+        "TamperApi: background: received message with unknown command from content script: ",
+        msg);
+    sendResponse({
+      success : false,
+      code : "UNKNOWN_COMMAND",
+      msg : "unknown command: " + cmd
+    });
+  }
+}
+
+/**
+ * A port from the client side, over which page-side callbacks are registered
+ * and events posted.
+ *
+ * Messages to the port are like {TamperApiMsg}, with an additional property
+ * 'id'. They are answered by {type : "resp", id : <the msg's id>, resp :
+ * <response>}. Events are posted as {type : "event", id : <callback id>, event
+ * : <event>}.
+ */
+browser.runtime.onConnect.addListener(function(port) {
+  if (port.name !== "TamperApiEvents") {
+    return;
+  }
+  var connected = true;
+  port.onMessage.addListener(function(msg) {
+    var resp;
+    if (typeof msg.options === "undefined" || msg.options === null) {
+      msg.options = {};
+    }
+    if (msg.command === "RegisterCb") {
+      var origin = senderOrigin(port.sender);
+      var request = (typeof origin === "undefined")
+                        ? Promise.resolve(true)
+                        : accessControl.request(origin);
+      request.then((allowed) => {
+        if (!connected) {
+          return;
+        }
+        if (!allowed) {
+          resp = accessDenied(origin);
+        } else {
+          try {
+            callbackState.add(port, msg.options);
+            resp = {success : true, msg : "callback registered successfully."};
+          } catch (e) {
+            resp = errorResponse(e);
+          }
+        }
+        port.postMessage({type : "resp", id : msg.id, resp : resp});
+      });
+      return;
+    } else if (msg.command === "UnregisterCb") {
+      if (callbackState.remove(port, msg.options.id)) {
+        resp = {success : true, msg : "callback removed successfully."};
+      } else {
+        resp = {
+          success : false,
+          code : "NOT_FOUND",
+          msg : "no callback with id " + msg.options.id + " exists."
+        };
+      }
+    } else {
+      resp = {
+        success : false,
+        code : "UNKNOWN_COMMAND",
+        msg : "unknown command for a 'TamperApiEvents' port: " + msg.command
+      };
+    }
+    port.postMessage({type : "resp", id : msg.id, resp : resp});
+  });
+  port.onDisconnect.addListener(function() {
+    connected = false;
+    callbackState.removePort(port);
+  });
+});
+
+browser.tabs.onRemoved.addListener(function(tabId) {
+  ready.then(() => tamperState.removeTab(tabId));
+  delete tabUrls[tabId];
+});
+
+browser.tabs.onUpdated.addListener(function(tabId, changeInfo) {
+  if (changeInfo.url) {
+    tabUrls[tabId] = changeInfo.url;
+  }
+});
+
+browser.tabs.query({}).then(function(tabs) {
+  tabs.forEach((tab) => {
+    if (typeof tabUrls[tab.id] === "undefined" && tab.url) {
+      tabUrls[tab.id] = tab.url;
+    }
+  });
+});
+
+browser.webNavigation.onCommitted.addListener(function(details) {
+  if (details.frameId === 0) {
+    ready.then(() => tamperState.removeScopedPatterns(details.tabId));
+    tabUrls[details.tabId] = details.url;
+  } else {
+    ready.then(() => tamperState.removeScopedPatterns(details.tabId,
+                                                      details.frameId));
+  }
+});
+
+/**
+ * Resolves once what was stored is loaded: the origins, then the entries of
+ * a service worker started again (see TamperStore#restore), or else the
+ * stored rule sets, as the browser session just started. Rule sets may be
+ * restricted by origin, so are best activated knowing them. Commands wait
+ * for it.
+ * @type {Promise}
+ */
+var ready = accessControl.load()
+                .then(() => tamperState.restore())
+                .then((restored) => restored || activateStoredRuleSets())
+                .then(syncDnrRules);
+
+// https://developer.mozilla.org/en-US/docs/Web/API/WindowBase64/Base64_encoding_and_decoding
+function b64EncodeUnicode(str) {
+  // first we use encodeURIComponent to get percent-encoded UTF-8,
+  // then we convert the percent encodings into raw bytes which
+  // can be fed into btoa.
+  return btoa(encodeURIComponent(str).replace(
+      /%([0-9A-F]{2})/g, function toSolidBytes(match, p1) {
+        return String.fromCharCode('0x' + p1);
+      }));
+}
+
+// https://developer.mozilla.org/en-US/docs/Web/API/WindowBase64/Base64_encoding_and_decoding
+function b64DecodeUnicode(str) {
+  // Going backwards: from bytestream, to percent-encoding, to original string.
+  return decodeURIComponent(
+      atob(str)
+          .split('')
+          .map(function(c) {
+            return '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2);
+          })
+          .join(''));
+}
+
+/**
+ * Copies JSON data, as JSON.parse(JSON.stringify(obj)) would, leaving out
+ * properties which are undefined, but several times faster. Called for
+ * every request a TamperSpec applies to.
+ * @param  {*} obj
+ * @return {*}
+ */
+function deepClone(obj) {
+  if (obj === null || typeof obj !== "object") {
+    return obj;
+  }
+  if (Array.isArray(obj)) {
+    return obj.map((value) => (typeof value === "undefined") ? null
+                                                            : deepClone(value));
+  }
+  var copy = {};
+  for (var key in obj) {
+    if (typeof obj[key] !== "undefined") {
+      copy[key] = deepClone(obj[key]);
+    }
+  }
+  return copy;
+}
+
+function decodeReqModifyOpts(str) { return JSON.parse(b64DecodeUnicode(str)); }
+
+/**
+ * Matches the first tamper marker of an url: the url before it, its payload,
+ * and the url after it. Payloads hold no ':', so any further marker is left
+ * in the url after it.
+ * @type {RegExp}
+ */
+const tamperMarkerRegex = /^(.*?)\$TamperApi:([^:]*):\$TamperApi(.*)$/;
+
+/**
+ * Takes apart a tamper url, as made by the page-side TamperApi.makeUrl(): an
+ * url with one or more markers '$TamperApi:<payload>:$TamperApi', each
+ * embedding a TamperSpec (see decodeTamperPayload). The page-side api puts
+ * them before the fragment, which is not part of the urls requested.
+ * @param  {String} url
+ * @return {Object|null} null if the url has no marker, else the url without
+ * them as 'url', and their payloads in order as 'payloads'.
+ */
+function parseTamperUrl(url) {
+  var payloads = [];
+  var match;
+  while ((match = url.match(tamperMarkerRegex)) !== null) {
+    payloads.push(match[2]);
+    url = match[1] + match[3];
+  }
+  return (payloads.length > 0) ? {url : url, payloads : payloads} : null;
+}
+
+/**
+ * Decodes the payload of a tamper marker, a version and the data separated
+ * by a '.':
+ * - '1': the JSON of the TamperSpec, UTF-8 and base64url encoded.
+ * - '2': the same, but compressed by raw deflate before the base64url
+ *   encoding.
+ * - 't': a token the TamperSpec was registered for, see RegisterTamperUrl.
+ * A payload without a version is the JSON base64 encoded (see
+ * b64EncodeUnicode), as the page-side api made them before.
+ * @param  {String} payload
+ * @param  {Number} tabId of the request, which must have registered a token
+ * @return {TamperSpec|Promise} the TamperSpec, not validated yet, or for
+ * compressed payloads a promise of it.
+ * @throws {Error} if the payload is not valid
+ */
+function decodeTamperPayload(payload, tabId) {
+  var dot = payload.indexOf(".");
+  if (dot === -1) {
+    return decodeReqModifyOpts(payload);
+  }
+  var version = payload.slice(0, dot);
+  var data = payload.slice(dot + 1);
+  if (version === "1") {
+    return JSON.parse(new TextDecoder().decode(b64UrlDecode(data)));
+  } else if (version === "2") {
+    var stream = new Blob([ b64UrlDecode(data) ])
+                     .stream()
+                     .pipeThrough(new DecompressionStream("deflate-raw"));
+    return new Response(stream).text().then((json) => JSON.parse(json));
+  } else if (version === "t") {
+    var tamperSpec = tamperState.getToken(data, tabId);
+    if (tamperSpec === null) {
+      throw new TamperApiError("INVALID_PARAMS",
+                               "no TamperSpec is registered for the token " +
+                                   data + ".");
+    }
+    return tamperSpec;
+  }
+  throw new TamperApiError("INVALID_PARAMS",
+                           "unknown tamper url version " + version + ".");
+}
+
+/**
+ * Decodes and checks the TamperSpecs of the markers of a tamper url, and
+ * merges them, later ones taking precedence (see
+ * TamperStore#_mergeTamperSpecs).
+ * @param  {Array.<String>} payloads see parseTamperUrl
+ * @param  {Number} tabId see decodeTamperPayload
+ * @return {TamperSpec|Promise} the TamperSpec, normalized, or a promise of it
+ * if a payload is compressed.
+ * @throws {Error} if a payload is not valid
+ */
+function decodeTamperPayloads(payloads, tabId) {
+  // malformed base64, deflate data or JSON is the caller's error, too.
+  var invalid = (error) => {
+    throw (error instanceof TamperApiError)
+        ? error
+        : new TamperApiError("INVALID_PARAMS",
+                             "malformed tamper url: " + error.message);
+  };
+  var decoded = payloads.map((payload) => {
+    try {
+      var tamperSpec = decodeTamperPayload(payload, tabId);
+    } catch (error) {
+      invalid(error);
+    }
+    return (tamperSpec instanceof Promise) ? tamperSpec.catch(invalid)
+                                           : tamperSpec;
+  });
+  var merge = (tamperSpecs) => {
+    tamperSpecs = tamperSpecs.map((tamperSpec) => {
+      validateTamperSpec(tamperSpec, "tamper");
+      return tamperState._normalizeTamperSpec(tamperSpec);
+    });
+    return (tamperSpecs.length === 1)
+               ? tamperSpecs[0]
+               : tamperState._mergeTamperSpecs(tamperSpecs);
+  };
+  if (decoded.some((tamperSpec) => tamperSpec instanceof Promise)) {
+    return Promise.all(decoded).then(merge);
+  }
+  return merge(decoded);
+}
+
+/**
+ * @param  {String} str base64url encoded (RFC 4648), without padding
+ * @return {Uint8Array} the bytes it encodes
+ */
+function b64UrlDecode(str) {
+  var binary = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+  var bytes = new Uint8Array(binary.length);
+  for (var i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ *
+ * @param {Object} params
+ * @param {Array.<RegexSpec>} params.regexes
+ * @param {Array.<String>} params.urls
+ * @param {TamperSpec} params.tamper
+ * @param {Condition} [params.when]
+ * @param {Number} [params.priority=0] entries of higher priority take
+ * precedence.
+ * @param {Boolean} [params.merge=false] whether to merge with entries of lower
+ * precedence, see TamperStore#_scanPatternMods
+ * @param {String} [params.scope] 'tab', 'frame' or 'global'
+ * @param {Boolean} [params.enabled=true] disabled entries are kept, but not
+ * applied.
+ * @param {Number} [params.tabId] only for senders without a tab, like the
+ * popup: the tab to register the entry for, as if it was added by its main
+ * frame.
+ * @param {MessageSender} sender the browser's description of the sender
+ * @return {Number} the id of the new entry
+ */
+function addMetaTamper(params, sender) {
+  params = Object.assign({}, params);
+  // restricts the entry to what its origin may tamper with.
+  params.origin = senderOrigin(sender);
+  if (sender.tab) {
+    return tamperState.addPattern(params, sender.tab.id, sender.frameId);
+  }
+  if (typeof params.tabId === "number" && params.tabId !== -1) {
+    return tamperState.addPattern(params, params.tabId, 0);
+  }
+  return tamperState.addPattern(params);
+}
+
+/**
+ * The prefix of the browser.storage.local keys of stored rule sets, which are
+ * followed by the rule set's name.
+ * @type {String}
+ */
+const ruleSetKeyPrefix = "ruleSet:";
+
+/**
+ * Carries out the rule set commands, see TamperCmd.
+ * @param  {String} cmd
+ * @param  {Object} options TamperApiMsg.options
+ * @param  {String} [origin] the origin of the sender, see senderOrigin
+ * @return {Promise} resolves to the response. May also throw.
+ */
+function handleRuleSetCmd(cmd, options, origin) {
+  if (cmd === "ListRuleSets") {
+    return storageGet(null).then((items) => {
+      var names = Object.keys(items)
+                      .filter((key) => key.startsWith(ruleSetKeyPrefix))
+                      .map((key) => key.slice(ruleSetKeyPrefix.length));
+      return {
+        success : true,
+        msg : "rule sets listed successfully.",
+        names : names
+      };
+    });
+  }
+  if (typeof options.name !== "string" || options.name === "") {
+    throw new TamperApiError("INVALID_PARAMS",
+                             "name must be a non-empty string.",
+                             "options.name");
+  }
+  var key = ruleSetKeyPrefix + options.name;
+  if (cmd === "SaveRuleSet") {
+    if (!Array.isArray(options.rules)) {
+      throw new TamperApiError("INVALID_PARAMS", "rules must be an array.",
+                               "options.rules");
+    }
+    var previous = tamperState.listPatterns().filter(
+        (entry) => entry.ruleSet === options.name);
+    // restricts the rules to what their origin may tamper with.
+    var rules = options.rules.map(
+        (rule) => Object.assign({}, rule, {origin : origin}));
+    tamperState.activateRuleSet(options.name, rules);
+    var items = {};
+    items[key] = deepClone(rules);
+    return storageSet(items).then(
+        () => ({success : true, msg : "rule set saved successfully."}),
+        (e) => {
+          // keep what is active in line with what is stored.
+          tamperState.activateRuleSet(options.name, previous);
+          throw e;
+        });
+  }
+  if (cmd === "LoadRuleSet") {
+    return storageGet(key).then((items) => {
+      if (typeof items[key] === "undefined") {
+        throw new TamperApiError("NOT_FOUND", "no rule set named " +
+                                                  options.name + " exists.");
+      }
+      return {
+        success : true,
+        msg : "rule set loaded successfully.",
+        rules : items[key]
+      };
+    });
+  }
+  tamperState.deactivateRuleSet(options.name);
+  return storageRemove(key).then(
+      () => ({success : true, msg : "rule set deleted successfully."}));
+}
+
+/**
+ * Makes the rule sets in browser.storage.local active. Rule sets which fail to
+ * activate are logged and skipped.
+ * @return {Promise} resolves once done
+ */
+function activateStoredRuleSets() {
+  return storageGet(null).then((items) => {
+    for (var key in items) {
+      if (!key.startsWith(ruleSetKeyPrefix)) {
+        continue;
+      }
+      var name = key.slice(ruleSetKeyPrefix.length);
+      try {
+        tamperState.activateRuleSet(name, items[key]);
+      } catch (e) {
+        dconsole.error("TamperApi: background: failed to activate rule set ",
+                       name, ": ", e);
+      }
+    }
+  });
+}
+
+/**
+ * Removes the rule sets from browser.storage.local.
+ * @return {Promise} resolves once done
+ */
+function removeStoredRuleSets() {
+  return storageGet(null).then((items) => storageRemove(
+      Object.keys(items).filter((key) => key.startsWith(ruleSetKeyPrefix))));
+}
+
+/**
+ * @param  {String|Array.<String>|null} keys
+ * @param  {StorageArea} [area=browser.storage.local]
+ * @return {Promise} resolves to the items
+ */
+function storageGet(keys, area = browser.storage.local) {
+  return area.get(keys);
+}
+
+/**
+ * @param  {Object} items
+ * @param  {StorageArea} [area=browser.storage.local]
+ * @return {Promise}
+ */
+function storageSet(items, area = browser.storage.local) {
+  return area.set(items);
+}
+
+/**
+ * @param  {String|Array.<String>} keys
+ * @return {Promise}
+ */
+function storageRemove(keys) {
+  return browser.storage.local.remove(keys);
+}
+
+/**
+ * Carries out the origin commands, see TamperCmd.
+ * @param  {String} cmd
+ * @param  {Object} options TamperApiMsg.options
+ * @return {Promise} resolves to the response. May also throw.
+ */
+function handleOriginCmd(cmd, options) {
+  if (cmd === "ListOrigins") {
+    return accessControl.load().then(() => {
+      return {
+        success : true,
+        msg : "origins listed successfully.",
+        origins : accessControl.list()
+      };
+    });
+  }
+  if (typeof options.origin !== "string" || options.origin === "") {
+    throw new TamperApiError("INVALID_PARAMS",
+                             "origin must be a non-empty string.",
+                             "options.origin");
+  }
+  if (cmd === "SetOriginAccess") {
+    var set =
+        accessControl.set(options.origin, options.allowed, options.patterns);
+    return set.then(
+        () => ({success : true, msg : "origin access set successfully."}));
+  }
+  return accessControl.remove(options.origin)
+      .then(() => ({success : true, msg : "origin removed successfully."}));
+}
+
+/**
+ * Carries out the log commands, see TamperCmd. Senders with a tab only get at
+ * the entries of their tab, and of the urls they may tamper with.
+ * @param  {String} cmd
+ * @param  {Object} options TamperApiMsg.options
+ * @param  {MessageSender} sender
+ * @return {Object} the response. May also throw.
+ */
+function handleLogCmd(cmd, options, sender) {
+  validateLogFilter(options, "options");
+  var filter = Object.assign({}, options);
+  var mayRead = () => true;
+  if (sender.tab) {
+    var origin = senderOrigin(sender);
+    filter.tabId = sender.tab.id;
+    mayRead = (entry) => accessControl.mayTamper(origin, entry.url);
+  }
+  if (cmd === "ClearLog") {
+    trafficLog.clear(filter.tabId);
+    return {success : true, msg : "log cleared successfully."};
+  }
+  var entries = trafficLog.query(filter, mayRead);
+  if (cmd === "GetLog") {
+    return {
+      success : true,
+      msg : "log entries listed successfully.",
+      entries : entries
+    };
+  }
+  return {
+    success : true,
+    msg : "log exported successfully.",
+    har : logToHar(entries)
+  };
+}
+
+/**
+ * Converts entries of the TrafficLog to HAR 1.2. The headers are those sent
+ * and, for the response, those the browser was given after tampering; the
+ * ones before tampering are in the custom '_originalHeaders'.
+ * @param  {Array.<LogEntry>} entries
+ * @return {Object} the HAR
+ */
+function logToHar(entries) {
+  var manifest = browser.runtime.getManifest();
+  return {
+    log : {
+      version : "1.2",
+      creator : {name : manifest.name, version : manifest.version},
+      pages : [],
+      entries : entries.map(harEntry)
+    }
+  };
+}
+
+/**
+ * @param  {LogEntry} entry
+ * @return {Object} the HAR entry
+ */
+function harEntry(entry) {
+  var timings = entry.timings;
+  var since = (from, to) =>
+      (typeof from === "undefined" || typeof to === "undefined")
+          ? 0
+          : Math.max(to - from, 0);
+  var end = timings.end || timings.headersReceived || timings.start;
+  var sent = timings.sendHeaders || end;
+  var received = timings.headersReceived || end;
+  var harTimings = {
+    blocked : since(timings.start, sent),
+    dns : -1,
+    connect : -1,
+    send : 0,
+    wait : since(sent, received),
+    receive : since(received, end),
+    ssl : -1
+  };
+  // e.g. "HTTP/1.1 200 OK"
+  var statusLine = (entry.statusLine || "").match(/^(\S+)\s+\d+\s*(.*)$/);
+  var httpVersion = statusLine ? statusLine[1] : "";
+  var requestHeaders = entry.sentRequestHeaders || entry.requestHeaders || [];
+  var responseHeaders =
+      entry.tamperedResponseHeaders || entry.responseHeaders || [];
+  var queryString = [];
+  try {
+    new URL(entry.url).searchParams.forEach(
+        (value, name) => queryString.push({name : name, value : value}));
+  } catch (e) {
+    // not a url with a query.
+  }
+  // only their name=value, not the attributes.
+  var setCookies =
+      responseHeaders
+          .filter((header) => header.name.toLowerCase() === "set-cookie")
+          .map((header) => header.value.split("\n"))
+          .reduce((all, values) => all.concat(values), [])
+          .map((setCookie) => setCookie.split(";")[0]);
+  var contentLength = getHeader(responseHeaders, "Content-Length");
+  var harEntry = {
+    startedDateTime : new Date(timings.start).toISOString(),
+    time : harTimings.blocked + harTimings.wait + harTimings.receive,
+    request : {
+      method : entry.method,
+      url : entry.url,
+      httpVersion : httpVersion,
+      cookies : harCookies(getHeader(requestHeaders, "Cookie") || ""),
+      headers : harHeaders(requestHeaders),
+      queryString : queryString,
+      headersSize : -1,
+      bodySize : -1,
+      _originalHeaders : harHeaders(entry.requestHeaders || [])
+    },
+    response : {
+      status : entry.statusCode || 0,
+      statusText : statusLine ? statusLine[2] : "",
+      httpVersion : httpVersion,
+      cookies : harCookies(setCookies.join(";")),
+      headers : harHeaders(responseHeaders),
+      content : {
+        size : (contentLength === null) ? 0 : Number(contentLength),
+        mimeType : getHeader(responseHeaders, "Content-Type") || ""
+      },
+      redirectURL : entry.redirectUrl || "",
+      headersSize : -1,
+      bodySize : -1,
+      _originalHeaders : harHeaders(entry.responseHeaders || [])
+    },
+    cache : {},
+    timings : harTimings,
+    _requestId : entry.requestId,
+    _resourceType : entry.resourceType,
+    _tabId : entry.tabId,
+    _tampered : entry.tampered,
+    _ruleIds : entry.ruleIds || []
+  };
+  if (entry.ip) {
+    harEntry.serverIPAddress = entry.ip;
+  }
+  if (entry.error) {
+    harEntry._error = entry.error;
+  }
+  return harEntry;
+}
+
+/**
+ * @param  {Array.<Object>} headers in webRequest details.*headers format
+ * @return {Array.<Object>} the headers in HAR format
+ */
+function harHeaders(headers) {
+  return headers.map((header) => ({name : header.name, value : header.value}));
+}
+
+/**
+ * @param  {String} cookies as in the Cookie header, e.g. "a=1; b=2"
+ * @return {Array.<Object>} the cookies in HAR format
+ */
+function harCookies(cookies) {
+  return cookies.split(";")
+      .map((pair) => pair.trim())
+      .filter((pair) => pair !== "")
+      .map((pair) => {
+        var eq = pair.indexOf("=");
+        return (eq === -1) ? {name : pair, value : ""} : {
+          name : pair.slice(0, eq),
+          value : pair.slice(eq + 1)
+        };
+      });
+}
+
+/**
+ * @param  {MessageSender} sender the browser's description of the sender
+ * @return {String|undefined} the origin of the sender's document, or undefined
+ * if the sender is not a tab, but e.g. the popup.
+ */
+function senderOrigin(sender) {
+  if (!sender.tab) {
+    return undefined;
+  }
+  return urlOrigin(sender.url || sender.tab.url);
+}
+
+/**
+ * @param  {String} url
+ * @return {String} the origin of the url, "null" if it is opaque or invalid
+ */
+function urlOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch (e) {
+    return "null";
+  }
+}
+
+/**
+ * @param  {String} origin
+ * @return {Object} the response to a command the origin is not allowed to use
+ */
+function accessDenied(origin) {
+  return {
+    success : false,
+    code : "ACCESS_DENIED",
+    msg : "the origin " + origin + " is not allowed to use this command."
+  };
+}
+
+/**
+ * Finds the TamperSpec which applies to a request made by the sender of a
+ * message, with fetch() or XMLHttpRequest. The Condition of its entry, if
+ * any, must hold already.
+ * @param  {Object} request
+ * @param  {String} request.url the absolute request url, which may be a
+ * tamper url made by the page-side TamperApi.makeUrl()
+ * @param  {String} [request.method='GET']
+ * @param  {Object} [request.headers] a key-value map of the headers set by
+ * the page.
+ * @param  {MessageSender} sender the browser's description of the sender
+ * @return {Promise} resolves to a TamperSpec or null, rejects with a
+ * TamperApiError if the tamper url is invalid.
+ */
+function getTamperForSender(request, sender) {
+  var tamperUrl = parseTamperUrl(request.url);
+  if (tamperUrl !== null) {
+    var tabId = sender.tab ? sender.tab.id : -1;
+    return Promise.resolve()
+        .then(() => decodeTamperPayloads(tamperUrl.payloads, tabId))
+        .then((urlSpec) => {
+          if (!blockingWebRequest && sender.tab &&
+              accessControl.mayTamper(senderOrigin(sender), tamperUrl.url)) {
+            // as onBeforeRequest would, only before the request is made.
+            urlSpec.requestId = null;
+            tamperState.set(
+                sender.tab.id, sender.frameId, tamperUrl.url,
+                Object.assign({}, urlSpec, {origin : senderOrigin(sender)}));
+          }
+          return urlSpec;
+        });
+  }
+  if (!sender.tab) {
+    return Promise.resolve(null);
+  }
+  var requestHeaders = [];
+  for (var name in request.headers) {
+    requestHeaders.push({name : name, value : request.headers[name]});
+  }
+  var tamperSpec =
+      tamperState.get(sender.tab.id, sender.frameId, request.url, {
+        tabId : sender.tab.id,
+        method : request.method || "GET",
+        type : "xmlhttprequest",
+        initiator : new URL(sender.url).origin,
+        requestHeaders : requestHeaders,
+      });
+  if (tamperSpec === null || tamperSpec.condition) {
+    return Promise.resolve(null);
+  }
+  return Promise.resolve(tamperSpec);
+}
+
+/**
+ * Records that a request was tampered with, for callbacks and the log.
+ * @param  {String} requestId
+ */
+function noteTampered(requestId) {
+  callbackState.noteTampered(requestId);
+  trafficLog.noteTampered(requestId);
+}
+
+/**
+ * Decides whether TamperSpec.action blocks a request, or makes it fail this
+ * time. Either way the request is cancelled, the browser can't be made to
+ * report another error; callbacks are given the error to simulate instead.
+ * Delays aren't evaluated here, the browser can't hold a request back; the
+ * fetch() and XMLHttpRequest wrappers of the page apply them, to requests
+ * made with those only.
+ * @param  {Object} [action] TamperSpec.action, normalized
+ * @param  {Object} details webRequest details of onBeforeRequest
+ * @return {Boolean} whether to cancel the request
+ */
+function failsRequest(action, details) {
+  if (!action) {
+    return false;
+  }
+  if (action.block) {
+    dconsole.debug("tamperApi: blocking request to: ", details.url);
+    noteTampered(details.requestId);
+    return true;
+  }
+  if (typeof action.fail === "undefined" ||
+      Math.random() >= action.failRate ||
+      // rules fail all requests or none, see dnrActions.
+      (!blockingWebRequest && action.failRate < 1)) {
+    return false;
+  }
+  dconsole.debug("tamperApi: failing request to: ", details.url, " with ",
+                 action.fail);
+  noteTampered(details.requestId);
+  callbackState.noteError(details.requestId, action.fail);
+  trafficLog.noteError(details.requestId, action.fail);
+  return true;
+}
+
+/**
+ * @param  {TamperSpec} tamperSpec normalized
+ * @return {Boolean} whether the page-side fetch / XMLHttpRequest wrappers
+ * must apply some of it: its method, body, mock or delay.
+ */
+function tampersPageSide(tamperSpec) {
+  return Boolean(tamperSpec.method || tamperSpec.body ||
+                 (tamperSpec.response && tamperSpec.response.mock) ||
+                 (tamperSpec.action && tamperSpec.action.delay));
+}
+
+/**
+ * Tells the tabs a new or changed entry applies to, if it has parts applied
+ * page-side, so their fetch / XMLHttpRequest wrappers start asking for them
+ * (see the HasPageSideTamper command).
+ * @param  {Object} entry as stored by TamperStore#addPattern
+ */
+function notifyPageSide(entry) {
+  if (!tampersPageSide(entry.tamper)) {
+    return;
+  }
+  var msg = {command : "PageSideTamper", options : {}};
+  var tabIds = (entry.scope === "global")
+                   ? browser.tabs.query({}).then(
+                         (tabs) => tabs.map((tab) => tab.id))
+                   : Promise.resolve([ entry.tabId ]);
+  var options = (entry.scope === "frame") ? {frameId : entry.frameId} : {};
+  tabIds
+      .then((tabIds) => Promise.all(tabIds.map(
+                (tabId) => browser.tabs.sendMessage(tabId, msg, options)
+                               .catch(() => {
+                                 // e.g. there is no content script in the tab.
+                               }))))
+      .catch((e) => dconsole.error("tamperApi: notifyPageSide: ", e));
+}
+
+/**
+ * Mocks the response to a request by redirecting it to a data: url. Only the
+ * body and the content type of the mock can be honored this way. The tab is
+ * notified that the mock was served.
+ * @param  {Object} details webRequest details of the request
+ * @param  {Object} mock TamperSpec.response.mock
+ * @return {Object} a webRequest BlockingResponse
+ */
+function serveMock(details, mock) {
+  dconsole.debug("tamperApi: serving mock response for: ", details.url);
+  if (details.tabId !== -1) {
+    var frameId = (details.type === "sub_frame") ? details.parentFrameId
+                                                 : details.frameId;
+    var msg = {
+      command : "MockServed",
+      options : {url : details.url, status : mock.status, served : "redirect"}
+    };
+    browser.tabs.sendMessage(details.tabId, msg, {frameId : frameId})
+        .catch(() => {
+          // e.g. there is no content script in the frame.
+        });
+  }
+  return {redirectUrl : mockDataUrl(mock)};
+}
+
+/**
+ * @param  {Object} mock TamperSpec.response.mock
+ * @return {String} a data: url holding the body of the mock
+ */
+function mockDataUrl(mock) {
+  var body;
+  if (typeof mock.base64 !== "undefined") {
+    body = mock.base64;
+  } else if (typeof mock.json !== "undefined") {
+    body = b64EncodeUnicode(JSON.stringify(mock.json));
+  } else {
+    body = b64EncodeUnicode(typeof mock.body === "undefined" ? "" : mock.body);
+  }
+  return "data:" + mockContentType(mock) + ";base64," + body;
+}
+
+/**
+ * @param  {Object} mock TamperSpec.response.mock
+ * @return {String} the content type the mock was given, or else one befitting
+ * its body.
+ */
+function mockContentType(mock) {
+  var contentType = getKeyCaseInsensitive(mock.headers, "content-type");
+  if (contentType !== null) {
+    return contentType;
+  }
+  if (typeof mock.base64 !== "undefined") {
+    return "application/octet-stream";
+  }
+  if (typeof mock.json !== "undefined") {
+    return "application/json";
+  }
+  return "text/plain;charset=utf-8";
+}
+
+/**
+ * Applies TamperSpec.response.body to the body of a response, with
+ * webRequest.filterResponseData, which only Firefox has. The body is held
+ * back until it is complete, and read as UTF-8. Should it fail to apply, the
+ * body is passed on as it was.
+ * @param  {String} requestId
+ * @param  {Object} bodySpec TamperSpec.response.body
+ * @return {Boolean} false if response bodies can't be tampered with
+ */
+function filterResponseBody(requestId, bodySpec) {
+  if (!blockingWebRequest ||
+      typeof browser.webRequest.filterResponseData !== "function") {
+    return false;
+  }
+  var filter = browser.webRequest.filterResponseData(requestId);
+  var chunks = [];
+  filter.ondata = (event) => { chunks.push(event.data); };
+  filter.onstop = () => {
+    try {
+      var decoder = new TextDecoder("utf-8", {fatal : true});
+      var text = chunks.map((chunk) => decoder.decode(chunk, {stream : true}))
+                     .join("") +
+                 decoder.decode();
+      filter.write(new TextEncoder().encode(tamperBody(text, bodySpec)));
+    } catch (e) {
+      dconsole.error("TamperApi: background: failed to tamper with the body " +
+                         "of request ",
+                     requestId, ": ", e);
+      chunks.forEach((chunk) => filter.write(chunk));
+    }
+    filter.close();
+  };
+  filter.onerror = () => {
+    dconsole.error("TamperApi: background: failed to filter the body of " +
+                       "request ",
+                   requestId, ": ", filter.error);
+  };
+  return true;
+}
+
+/**
+ * Applies TamperSpec.response.body to a body: 'replace' replaces it, then
+ * 'json' is merged into it.
+ * @param  {String} text the body
+ * @param  {Object} bodySpec TamperSpec.response.body
+ * @return {String} the new body
+ * @throws {SyntaxError} if 'json' is given but the body isn't JSON
+ */
+function tamperBody(text, bodySpec) {
+  if (typeof bodySpec.replace !== "undefined") {
+    text = bodySpec.replace;
+  }
+  if (typeof bodySpec.json !== "undefined") {
+    var value = (text.trim() === "") ? {} : JSON.parse(text);
+    text = JSON.stringify(mergePatch(value, bodySpec.json));
+  }
+  return text;
+}
+
+/**
+ * Applies a JSON merge patch (RFC 7396).
+ * @param  {*} target changed in place, if an object
+ * @param  {*} patch
+ * @return {*} the patched value
+ */
+function mergePatch(target, patch) {
+  if (patch === null || typeof patch !== "object" || Array.isArray(patch)) {
+    return patch;
+  }
+  if (target === null || typeof target !== "object" || Array.isArray(target)) {
+    target = {};
+  }
+  for (var name in patch) {
+    if (patch[name] === null) {
+      delete target[name];
+    } else {
+      target[name] = mergePatch(target[name], patch[name]);
+    }
+  }
+  return target;
+}
+
+/**
+ * @param  {Object} patternEntry an object with 'scope', 'tabId' and 'frameId'
+ * properties, as set by e.g. TamperStore#addPattern
+ * @param  {Number} tabId the browser's tabId of the request
+ * @param  {Number} frameId the browser's frameId of the request
+ * @return {Boolean} whether the entry's scope covers the request.
+ */
+function isPatternInScope(patternEntry, tabId, frameId) {
+  if (patternEntry.scope === "global") {
+    return true;
+  }
+  if (patternEntry.tabId !== tabId) {
+    return false;
+  }
+  return patternEntry.scope !== "frame" || patternEntry.frameId === frameId;
+}
+
+/**
+ * @param  {Object} patternEntry an object with any of a 'regexes' property,
+ * an array of RegexSpec, an 'urls' property, an array of url strings, and a
+ * 'matches' property, an array of match patterns (see parseMatchPattern).
+ * @param  {String} url
+ * @return {Boolean} whether any of the patterns of the entry's
+ * urlPatternKind matches the url. True if the entry has none.
+ */
+function patternMatchesUrl(patternEntry, url) {
+  return urlMatcherOf(patternEntry).test(url);
+}
+
+/**
+ * Of the regexes, urls and match patterns of an entry, only the first one
+ * given is matched against: regexes take precedence over urls, and both over
+ * match patterns.
+ * @param  {Object} patternEntry see patternMatchesUrl
+ * @return {String|undefined} 'regexes', 'urls' or 'matches', or undefined if
+ * the entry has none.
+ */
+function urlPatternKind(patternEntry) {
+  return [ "regexes", "urls", "matches" ].find((kind) => patternEntry[kind]);
+}
+
+/**
+ * The UrlMatchers made by urlMatcherOf, by the JSON of what they match.
+ * @type {Map}
+ */
+var urlMatchers = new Map();
+
+/**
+ * How many UrlMatchers urlMatchers holds at most. Once there are more, the
+ * least recently made are dropped.
+ * @type {Number}
+ */
+const maxUrlMatchers = 5000;
+
+/**
+ * The compiled regexes, urls and match patterns of an entry.
+ * @typedef  {Object} UrlMatcher
+ * @property {Function} test taking an url, and returning whether it matches
+ * @property {Array.<String>|null} hosts the hosts of the urls it may match,
+ * each with its subdomains, or null if it may match urls of any host.
+ */
+
+/**
+ * Compiles the regexes, urls and match patterns of an entry, unless they were
+ * already. Matching is done often, for every request, while compiling
+ * regexes takes longer than most of them need to match.
+ * @param  {Object} patternEntry see patternMatchesUrl
+ * @return {UrlMatcher}
+ */
+function urlMatcherOf(patternEntry) {
+  var kind = urlPatternKind(patternEntry);
+  var key = JSON.stringify([ kind || null, patternEntry[kind] || null ]);
+  var matcher = urlMatchers.get(key);
+  if (typeof matcher === "undefined") {
+    matcher = compileUrlMatcher(patternEntry);
+    if (urlMatchers.size >= maxUrlMatchers) {
+      urlMatchers.delete(urlMatchers.keys().next().value);
+    }
+    urlMatchers.set(key, matcher);
+  }
+  return matcher;
+}
+
+/**
+ * @param  {Object} patternEntry see patternMatchesUrl
+ * @return {UrlMatcher}
+ */
+function compileUrlMatcher(patternEntry) {
+  var kind = urlPatternKind(patternEntry);
+  if (typeof kind === "undefined") {
+    return {test : () => true, hosts : null};
+  }
+  var test;
+  var hosts;
+  if (kind === "urls") {
+    var urls = new Set(patternEntry.urls);
+    test = (url) => urls.has(url);
+    hosts = Array.from(urls, urlHost);
+  } else {
+    var regexSpecs;
+    if (kind === "regexes") {
+      regexSpecs = patternEntry.regexes;
+      hosts = regexSpecs.map((regexSpec) => regexHost(regexSpec));
+    } else {
+      var matchPatterns = patternEntry.matches.map(
+          (pattern) => parseMatchPattern(pattern));
+      regexSpecs = matchPatterns.map((matchPattern) => matchPattern.regex);
+      hosts = matchPatterns.map((matchPattern) => matchPattern.host);
+    }
+    // each with the RegExp, and the text the urls it matches start with.
+    var regexes = regexSpecs.map((regexSpec) => ({
+                                   regex : makeRegex(regexSpec),
+                                   prefix : regexLiteralPrefix(regexSpec)
+                                 }));
+    test = (url) => regexes.some((compiled) => {
+      if (!url.startsWith(compiled.prefix)) {
+        return false;
+      }
+      // global and sticky regexes start where they last matched.
+      compiled.regex.lastIndex = 0;
+      return compiled.regex.test(url);
+    });
+  }
+  return {test : test, hosts : hosts.includes("") ? null : hosts};
+}
+
+/**
+ * @param  {String} url
+ * @return {String} its host, lower case, without the port. Empty if there is
+ * none.
+ */
+function urlHost(url) {
+  var match =
+      /^[a-z][\w+.-]*:\/\/(?:[^/?#@]*@)?(\[[^\]]*\]|[^/?#:]*)/i.exec(url);
+  return (match === null) ? "" : match[1].toLowerCase();
+}
+
+/**
+ * Matches the source of a regex which only matches urls of one host: anchored,
+ * with a scheme of letters (e.g. 'https?' or '(?:http|ws)s?'), and the host
+ * in full, as 'example\\.com'.
+ * @type {RegExp}
+ */
+const regexHostRegex =
+    /^\^(?:[a-z?|)]|\(\?:)+:(?:\\?\/){2}((?:[\w-]|\\\.)+)(?:\\?\/|:)(?![?*{])/i;
+
+/**
+ * @param  {RegexSpec} regexSpec
+ * @return {String} the host of all the urls the regex matches, lower case,
+ * if it can be told. Empty if not.
+ */
+function regexHost(regexSpec) {
+  var match = regexHostRegex.exec(regexSpec[0]);
+  if (match === null || hasTopLevelAlternative(regexSpec[0]) ||
+      // a group left open, e.g. '^(?:https://a\.com/|https://b\.com/)',
+      // may have alternatives for the host.
+      match[0].split("(").length !== match[0].split(")").length) {
+    return "";
+  }
+  return match[1].replace(/\\\./g, ".").toLowerCase();
+}
+
+/**
+ * @param  {RegexSpec} regexSpec
+ * @return {String} the text every string the regex matches starts with, as
+ * far as can be told. Empty if it isn't anchored by '^'.
+ */
+function regexLiteralPrefix(regexSpec) {
+  var source = regexSpec[0];
+  if (source[0] !== "^" || /[im]/.test(regexSpec[1] || "") ||
+      hasTopLevelAlternative(source)) {
+    return "";
+  }
+  var prefix = "";
+  for (var i = 1; i < source.length; i++) {
+    var c = source[i];
+    if (c === "\\") {
+      c = source[++i];
+      if (typeof c === "undefined" || /[A-Za-z0-9]/.test(c)) {
+        // a class like \d, or a backreference.
+        break;
+      }
+    } else if (".*+?()[]{}|^$".includes(c)) {
+      break;
+    }
+    if ("*?{".includes(source[i + 1])) {
+      // it may not be there.
+      break;
+    }
+    prefix += c;
+  }
+  return prefix;
+}
+
+/**
+ * @param  {String} source of a regex
+ * @return {Boolean} whether it has alternatives outside of any group, e.g.
+ * '^a|b'
+ */
+function hasTopLevelAlternative(source) {
+  var depth = 0;
+  var inClass = false;
+  for (var i = 0; i < source.length; i++) {
+    var c = source[i];
+    if (c === "\\") {
+      i++;
+    } else if (inClass) {
+      inClass = c !== "]";
+    } else if (c === "[") {
+      inClass = true;
+    } else if (c === "(") {
+      depth++;
+    } else if (c === ")") {
+      depth--;
+    } else if (c === "|" && depth === 0) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Matches a match pattern other than '<all_urls>': its scheme, host, port and
+ * path.
+ * @type {RegExp}
+ */
+const matchPatternRegex =
+    /^(\*|[a-z][\w+.-]*):\/\/(\*|(?:\*\.)?[^/*:]*)(?::(\*|\d+))?(\/.*)$/i;
+
+/**
+ * Parses a match pattern, as in the manifests of extensions: '<all_urls>',
+ * or '<scheme>://<host><path>', e.g. '*://*.example.com/api/*'. The scheme
+ * may be '*' for http, https, ws and wss. The host may be '*' for any, or
+ * start with '*.' for a domain and its subdomains, and without a port it
+ * matches any. The path is matched against the path and query of urls, '*'
+ * standing for any text.
+ * @param  {String} pattern
+ * @return {Object|null} null if not a match pattern, else the equivalent
+ * RegexSpec as 'regex', and as 'host' the host it is limited to, with its
+ * subdomains, or "" if none.
+ */
+function parseMatchPattern(pattern) {
+  if (pattern === "<all_urls>") {
+    return {regex : [ "^(?:https?|wss?|ftp|file)://" ], host : ""};
+  }
+  var match = matchPatternRegex.exec(pattern);
+  if (match === null || (match[2] === "" && match[1] !== "file")) {
+    return null;
+  }
+  var scheme = match[1].toLowerCase();
+  var host = match[2].toLowerCase();
+  var source =
+      "^" + (scheme === "*" ? "(?:https?|wss?)" : escapeRegex(scheme)) + "://";
+  if (host === "*") {
+    source += "[^/?#]*";
+    host = "";
+  } else if (host !== "") {
+    if (host.startsWith("*.")) {
+      host = host.slice(2);
+      source += "(?:[^/?#:@]*\\.)?";
+    }
+    source += escapeRegex(host) +
+              (match[3] && match[3] !== "*" ? ":" + match[3] : "(?::\\d+)?");
+  }
+  source += match[4].split("*").map(escapeRegex).join(".*") + "$";
+  return {regex : [ source ], host : host};
+}
+
+/**
+ * @param  {String} str
+ * @return {String} the source of a regex matching just the string
+ */
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Has the declarativeNetRequest rules follow the entries, if the webRequest
+ * listeners can't apply them, see blockingWebRequest.
+ * @return {Promise} resolves once done. Never rejects.
+ */
+function syncDnrRules() {
+  return blockingWebRequest ? Promise.resolve() : dnrRules.sync();
+}
+
+/**
+ * @param  {Array.<String>} extraInfoSpec of a webRequest listener
+ * @return {Array.<String>} extraInfoSpec, with "blocking" if the listener may
+ * change requests, see blockingWebRequest.
+ */
+function listenerOptions(extraInfoSpec) {
+  return blockingWebRequest ? [ "blocking" ].concat(extraInfoSpec)
+                            : extraInfoSpec;
+}
+
+/**
+ * Adds to the response of a command what of a MetaTamper entry can't be
+ * expressed by declarativeNetRequest rules, if they are in use, as
+ * 'degraded', once its rules are installed.
+ * @param  {Object} resp
+ * @param  {Number} id the id of the entry
+ * @return {Promise.<Object>} resolves with resp. Never rejects.
+ */
+function noteDegradations(resp, id) {
+  return syncDnrRules().then(() => {
+    if (!blockingWebRequest) {
+      var entry = tamperState._patternMods.find((entry) => entry.id === id);
+      // it may be used up already.
+      resp.degraded = entry ? dnrRules.notesOf(entry) : [];
+    }
+    return resp;
+  });
+}
+
+/**
+ * Expresses a Condition by the condition of declarativeNetRequest rules, as
+ * far as it can be: its 'methods', 'types' and 'initiators' terms, also
+ * under 'all', or a 'not' of one of them.
+ * @param  {Condition} when
+ * @param  {Object} condition a RuleCondition, changed in place
+ * @param  {Function} note see DnrRules#_compileEntry
+ * @param  {String} [path='when'] of 'when' in the entry
+ * @return {Boolean} false if the entry is to be skipped, as the Condition
+ * can't be expressed or never holds.
+ */
+function dnrCondition(when, condition, note, path = "when") {
+  var terms = [ "methods", "types", "initiators" ];
+  for (var term in when) {
+    var value = when[term];
+    var termPath = path + "." + term;
+    if (term === "all") {
+      if (!value.every((each, index) => dnrCondition(
+                           each, condition, note,
+                           termPath + "[" + index + "]"))) {
+        return false;
+      }
+      continue;
+    }
+    var negated = false;
+    if (term === "not" && Object.keys(value).length === 1 &&
+        terms.includes(Object.keys(value)[0])) {
+      negated = true;
+      term = Object.keys(value)[0];
+      value = value[term];
+      termPath += "." + term;
+    }
+    if (term === "methods") {
+      var methods = value.map((method) => {
+        method = method.toLowerCase();
+        if (DnrRules.requestMethods.includes(method)) {
+          return method;
+        }
+        note(termPath, "approximated",
+             "rules don't tell apart methods other than " +
+                 DnrRules.requestMethods.join(", ") + ".");
+        return "other";
+      });
+      var current =
+          condition.requestMethods || DnrRules.requestMethods.concat("other");
+      condition.requestMethods =
+          current.filter((method) => methods.includes(method) !== negated);
+    } else if (term === "types") {
+      condition.resourceTypes = condition.resourceTypes.filter(
+          (type) => value.includes(type) !== negated);
+    } else if (term === "initiators") {
+      note(termPath, "approximated",
+           "rules match initiators by host name, whatever the scheme and " +
+               "port.");
+      var domains = [];
+      value.forEach((origin) => {
+        try {
+          domains.push(new URL(origin).hostname);
+        } catch (e) {
+          // e.g. 'null', which rules can't match.
+        }
+      });
+      if (negated) {
+        condition.excludedInitiatorDomains =
+            (condition.excludedInitiatorDomains || []).concat(domains);
+      } else {
+        condition.initiatorDomains =
+            condition.initiatorDomains
+                ? condition.initiatorDomains.filter(
+                      (domain) => domains.includes(domain))
+                : domains;
+      }
+    } else {
+      note(termPath, "skipped", "rules can't express the term.");
+      return false;
+    }
+  }
+  return condition.resourceTypes.length > 0 &&
+         (!condition.requestMethods || condition.requestMethods.length > 0) &&
+         (!condition.initiatorDomains ||
+          condition.initiatorDomains.length > 0);
+}
+
+/**
+ * @param  {String} url
+ * @return {Object} the part of a RuleCondition matching just the url
+ */
+function dnrUrlCondition(url) {
+  if (!/[*^|]/.test(url)) {
+    return {urlFilter : "|" + url + "|", isUrlFilterCaseSensitive : true};
+  }
+  // which urlFilter would take for wildcards and separators.
+  return {
+    regexFilter : "^" + escapeRegex(url) + "$",
+    isUrlFilterCaseSensitive : true
+  };
+}
+
+/**
+ * Expresses a TamperSpec by the actions of declarativeNetRequest rules.
+ *
+ * For an exact url, where it is redirected to is worked out as
+ * onBeforeRequest would, and the headers are changed on the requests to the
+ * redirect target. Otherwise only the redirects which don't depend on the
+ * url, and those by 'regex', can be expressed, and the headers are changed
+ * on requests to the urls the entry matches, and for a redirect by 'regex',
+ * on those to urls like its target as well.
+ * @param  {TamperSpec} tamperSpec normalized
+ * @param  {String} [url] the exact url the rules are for
+ * @param  {Function} note see DnrRules#_compileEntry
+ * @return {Array.<Object>} each with 'action', a RuleAction, and 'url' if the
+ * action is for an url other than the entry's, or 'condition', the part of a
+ * RuleCondition matching the urls it is for instead, for those of a redirect
+ * by 'regex'.
+ */
+function dnrActions(tamperSpec, url, note) {
+  var action = tamperSpec.action;
+  if (action && action.block) {
+    return [ {action : {type : "block"}} ];
+  }
+  if (action && typeof action.fail !== "undefined") {
+    if (action.failRate >= 1) {
+      note("tamper.action.fail", "approximated",
+           "the request is blocked, failing with net::ERR_BLOCKED_BY_CLIENT.");
+      return [ {action : {type : "block"}} ];
+    }
+    note("tamper.action.failRate", "ignored",
+         "rules can't make requests fail by chance.");
+  }
+  if (action && typeof action.delay !== "undefined") {
+    note("tamper.action.delay", "ignored", "rules can't delay requests.");
+  }
+  var opts = tamperSpec.opts;
+  if (opts.once || typeof opts.times !== "undefined") {
+    note(opts.once ? "tamper.opts.once" : "tamper.opts.times",
+         "approximated",
+         "the rules are removed once the entry is used up, requests made " +
+             "meanwhile are tampered with as well.");
+  }
+  var mock = tamperSpec.response.mock;
+  if (mock) {
+    if (typeof mock.status !== "undefined" ||
+        typeof mock.statusText !== "undefined" ||
+        Object.keys(mock.headers || {}).length > 0) {
+      note("tamper.response.mock", "approximated",
+           "the request is redirected to a data: url, which only keeps the " +
+               "body and its content type.");
+    }
+    var redirect = {url : mockDataUrl(mock)};
+    return [ {action : {type : "redirect", redirect : redirect}} ];
+  }
+  var actions = [];
+  var target = url;
+  if (typeof url !== "undefined") {
+    try {
+      target = rewriteUrl(tamperQuery(url, tamperSpec.query),
+                          tamperSpec.redirect);
+    } catch (e) {
+      note("tamper.redirect", "ignored", e.message);
+    }
+    if (target !== url) {
+      actions.push({action : {type : "redirect", redirect : {url : target}}});
+    }
+  } else {
+    var urlRedirect = dnrRedirect(tamperSpec, note);
+    var regex = tamperSpec.redirect && tamperSpec.redirect.regex;
+    if (urlRedirect !== null && regex) {
+      actions.push({
+        action : {type : "redirect", redirect : urlRedirect},
+        condition : dnrRegexCondition(regex)
+      });
+    } else if (urlRedirect !== null) {
+      actions.push({action : {type : "redirect", redirect : urlRedirect}});
+    }
+  }
+  var requestHeaders = dnrHeaderInfos(tamperSpec, "tamper", note, false);
+  var responseHeaders =
+      dnrHeaderInfos(tamperSpec.response, "tamper.response", note, true);
+  if (tamperSpec.cors) {
+    responseHeaders = responseHeaders.concat(
+        dnrCorsHeaderInfos(tamperSpec.cors, note));
+  }
+  if (requestHeaders.length > 0 || responseHeaders.length > 0) {
+    var modify = {type : "modifyHeaders"};
+    if (requestHeaders.length > 0) {
+      modify.requestHeaders = requestHeaders;
+    }
+    if (responseHeaders.length > 0) {
+      modify.responseHeaders = responseHeaders;
+    }
+    if (urlRedirect && regex) {
+      note("tamper.redirect", "approximated",
+           "the headers are changed on requests to any url like the " +
+               "redirect target, whether redirected there or not.");
+      actions.push({
+        action : modify,
+        condition : dnrTargetCondition(tamperSpec.redirect)
+      });
+    } else if (actions.length > 0 && typeof url === "undefined") {
+      note("tamper.redirect", "approximated",
+           "the headers are changed on requests to the urls the entry " +
+               "matches, which those redirected to may not.");
+    }
+    actions.push({action : modify, url : target});
+  }
+  var cookies = tamperSpec.cookies;
+  if (Object.keys(cookies.set).length > 0 || cookies.remove.length > 0) {
+    note("tamper.cookies", "ignored",
+         "rules can't change the cookies of a request one by one.");
+  }
+  var responseCookies = tamperSpec.response.cookies;
+  if (responseCookies.remove.length > 0 ||
+      Object.keys(responseCookies.attributes).length > 0) {
+    note("tamper.response.cookies", "ignored",
+         "rules can't change Set-Cookie headers one by one.");
+  }
+  if (tamperSpec.response.body) {
+    note("tamper.response.body", "ignored", "rules can't change bodies.");
+  }
+  return actions;
+}
+
+/**
+ * Expresses TamperSpec.redirect and TamperSpec.query by the redirect of a
+ * rule, for whichever url the rule matches.
+ * @param  {TamperSpec} tamperSpec normalized
+ * @param  {Function} note see DnrRules#_compileEntry
+ * @return {Object|null} a Redirect, or null if there is none
+ */
+function dnrRedirect(tamperSpec, note) {
+  var redirect = tamperSpec.redirect || {};
+  if (redirect.regex) {
+    var setNames = Object.keys(tamperSpec.query.set);
+    if ([ "scheme", "host", "port", "pathPrefix" ].some(
+            (prop) => typeof redirect[prop] !== "undefined") ||
+        setNames.length > 0 || tamperSpec.query.remove.length > 0) {
+      note("tamper.redirect", "ignored",
+           "rules can't change the parts of the url, or its query, on top " +
+               "of a redirect by regex.");
+    }
+    var substitution = dnrSubstitution(redirect.url);
+    if (substitution === null) {
+      note("tamper.redirect.regex", "ignored",
+           "rules can only refer to the whole match and the first 9 groups " +
+               "of the regex.");
+      return null;
+    }
+    if ((redirect.regex[1] || "").includes("g")) {
+      note("tamper.redirect.regex", "approximated",
+           "rules only replace the first match of the regex.");
+    }
+    return {regexSubstitution : substitution};
+  } else if (typeof redirect.url !== "undefined") {
+    // the rest of the redirect applies to it, as does nothing of the query.
+    var rest = Object.assign({}, redirect);
+    delete rest.url;
+    return {url : rewriteUrl(redirect.url, rest)};
+  }
+  var transform = {};
+  [ "scheme", "host" ].forEach((prop) => {
+    if (typeof redirect[prop] !== "undefined") {
+      transform[prop] = redirect[prop];
+    }
+  });
+  if (typeof redirect.port !== "undefined") {
+    transform.port = String(redirect.port);
+  }
+  if (redirect.pathPrefix) {
+    note("tamper.redirect.pathPrefix", "ignored",
+         "rules can only replace the whole path of the urls regexes match.");
+  }
+  var setNames = Object.keys(tamperSpec.query.set);
+  if (setNames.length > 0 || tamperSpec.query.remove.length > 0) {
+    transform.queryTransform = {};
+    if (setNames.length > 0) {
+      transform.queryTransform.addOrReplaceParams = setNames.map(
+          (name) => ({key : name, value : String(tamperSpec.query.set[name])}));
+    }
+    if (tamperSpec.query.remove.length > 0) {
+      transform.queryTransform.removeParams = tamperSpec.query.remove;
+    }
+  }
+  return (Object.keys(transform).length === 0) ? null
+                                               : {transform : transform};
+}
+
+/**
+ * @param  {String} template TamperSpec.redirect.url, where $1 etc. refer to
+ * the groups of TamperSpec.redirect.regex
+ * @return {String|null} the regexSubstitution of a rule to the same effect,
+ * null if it refers to anything but the match and the groups up to \9,
+ * which rules can't.
+ */
+function dnrSubstitution(template) {
+  var substitution = "";
+  for (var i = 0; i < template.length; i++) {
+    var c = template[i];
+    var next = template[i + 1];
+    if (c === "\\") {
+      substitution += "\\\\";
+    } else if (c !== "$" || typeof next === "undefined") {
+      substitution += c;
+    } else if (next === "$") {
+      substitution += "$";
+      i++;
+    } else if (next === "&") {
+      substitution += "\\0";
+      i++;
+    } else if (/[1-9]/.test(next)) {
+      if (/[0-9]/.test(template[i + 2] || "")) {
+        return null;
+      }
+      substitution += "\\" + next;
+      i++;
+    } else if ("`'<".includes(next)) {
+      return null;
+    } else {
+      substitution += c;
+    }
+  }
+  return substitution;
+}
+
+/**
+ * @param  {RegexSpec} regexSpec
+ * @return {Object} the part of a RuleCondition matching what the regex does
+ */
+function dnrRegexCondition(regexSpec) {
+  return {
+    regexFilter : regexSpec[0],
+    isUrlFilterCaseSensitive : !(regexSpec[1] || "").includes("i")
+  };
+}
+
+/**
+ * @param  {Object} redirect TamperSpec.redirect with 'regex', normalized
+ * @return {Object} the part of a RuleCondition matching the urls it may
+ * redirect to, and maybe others: what the regex doesn't match of an url is
+ * kept, and any text may take the place of a group.
+ */
+function dnrTargetCondition(redirect) {
+  var source = redirect.regex[0].startsWith("^") ? "^" : "";
+  redirect.url.split(/\$(?:[1-9]|&)/).forEach((part, index) => {
+    source += ((index === 0) ? "" : ".*") +
+              escapeRegex(part.replace(/\$\$/g, "$"));
+  });
+  return {regexFilter : source, isUrlFilterCaseSensitive : true};
+}
+
+/**
+ * Expresses the headers to set and remove, and the HeaderOps, of a side of a
+ * TamperSpec by the ModifyHeaderInfos of a rule. Of the same header, the last
+ * wins, as they'd otherwise be rejected.
+ * @param  {Object} side the TamperSpec, or its 'response', normalized
+ * @param  {String} path of the side in the entry
+ * @param  {Function} note see DnrRules#_compileEntry
+ * @param  {Boolean} response whether the side is the response
+ * @return {Array.<Object>} the ModifyHeaderInfos
+ */
+function dnrHeaderInfos(side, path, note, response) {
+  // by lower case header name
+  var infos = {};
+  for (var name in side.headers) {
+    var headerValue = normalizeHeaderValue(side.headers[name]);
+    var operation = "set";
+    if (headerValue.mode === "add") {
+      if (response) {
+        operation = "append";
+      } else {
+        note(path + ".headers." + name, "approximated",
+             "rules can't add to request headers, it is set instead.");
+      }
+    }
+    if (headerValue.values.length > 1) {
+      note(path + ".headers." + name, "approximated",
+           "rules set a header once, its values are joined by ', '.");
     }
+    infos[name.toLowerCase()] = {
+      header : name,
+      operation : operation,
+      value : headerValue.values.join(", ")
+    };
   }
-  var redirectTarget = checkIfRedirect(details);
-  if (redirectTarget === null) {
-    dconsole.debug(
-        "tamperApi: onHeadersReceived: request received which seems to be done (no redirects): ",
-        details);
-    /**
-     * By default, we don't remove the tamper spec for a url.
-     *
-     * This is for e.g. partial content (Range header), or other instances where
-     * the browser will continually re-request an url. It would be nice if the
-     * browser used the original (including tamper spec string) url, but chrome
-     * seems to use the url *after* we strip out the tamper spec and internally
-     * redirect, which is useless to us.
-     *
-     * The user may specify to remove after one match, however, by setting
-     * <TamperSpec.opts.once> to true.
-     */
-    if (reqModifyOpts.opts.once) {
-      tamperState.removeDirect(reqModifyOpts.key);
+  side.remove.forEach((removal, index) => {
+    if (typeof removal !== "string") {
+      note(path + ".remove[" + index + "]", "ignored",
+           "rules can't remove headers by value.");
+      return;
+    }
+    infos[removal.toLowerCase()] = {header : removal, operation : "remove"};
+  });
+  side.headerOps.forEach((headerOp, index) => {
+    if (headerOp.op !== "set" || templatePlaceholder.test(headerOp.value)) {
+      note(path + ".headerOps[" + index + "]", "ignored",
+           "rules can only set headers to a value without placeholders.");
+      return;
     }
+    infos[headerOp.name.toLowerCase()] = {
+      header : headerOp.name,
+      operation : "set",
+      value : headerOp.value
+    };
+  });
+  return Object.keys(infos).map((name) => infos[name]);
+}
+
+/**
+ * Expresses TamperSpec.cors by ModifyHeaderInfos, the same for every
+ * request, as rules can't echo the Origin.
+ * @param  {Object} cors TamperSpec.cors, normalized
+ * @param  {Function} note see DnrRules#_compileEntry
+ * @return {Array.<Object>} the ModifyHeaderInfos
+ */
+function dnrCorsHeaderInfos(cors, note) {
+  var headers = {};
+  if (!cors.credentials) {
+    headers["Access-Control-Allow-Origin"] = "*";
+  } else if (cors.origins && cors.origins.length === 1) {
+    headers["Access-Control-Allow-Origin"] = cors.origins[0];
+    headers["Access-Control-Allow-Credentials"] = "true";
   } else {
-    dconsole.debug(
-        "tamperApi: onHeadersReceived: request received and is redirecting to: ",
-        redirectTarget, " details was: ", details);
-    tamperState.removeDirect(reqModifyOpts.key);
-    tamperState.set(details.tabId, details.frameId, redirectTarget,
-                    reqModifyOpts);
+    note("tamper.cors", "ignored",
+         "rules can't echo the Origin, give a single one in 'origins', or " +
+             "set 'credentials' false.");
+    return [];
   }
-  dconsole.debug(
-      "tamperApi: onHeadersReceived: at end of handler tamperState data: ",
-      tamperState.getData());
-  if (responseHeaders !== null) {
-    dconsole.debug("modifying response headers to: ", responseHeaders);
-    return {responseHeaders : responseHeaders};
+  note("tamper.cors", "approximated",
+       "preflights reach the server, and all responses get the same headers.");
+  if (cors.methods) {
+    headers["Access-Control-Allow-Methods"] = cors.methods.join(", ");
+  }
+  if (cors.headers) {
+    headers["Access-Control-Allow-Headers"] = cors.headers.join(", ");
+  }
+  if (typeof cors.maxAge !== "undefined") {
+    headers["Access-Control-Max-Age"] = String(cors.maxAge);
+  }
+  if (cors.exposeHeaders) {
+    headers["Access-Control-Expose-Headers"] = cors.exposeHeaders.join(", ");
   }
-}, {urls : [ "<all_urls>" ]}, [ "blocking", "responseHeaders" ]);
+  return Object.keys(headers).map(
+      (name) => ({header : name, operation : "set", value : headers[name]}));
+}
 
 /**
- * This might have been used to fix some broken redirect chains, but doesn't
- * fire for some reason.
+ * A condition on a request. Each property is a term, all of which must hold.
+ * Terms which can't be decided yet (e.g. 'statusCodes' before the response
+ * is received) are left for later, see evaluateCondition.
+ * @typedef  {Object} Condition
+ * @property {Array.<Condition>} [all] holds if all of the Conditions hold
+ * @property {Array.<Condition>} [any] holds if any of the Conditions hold
+ * @property {Condition} [not] holds if the Condition does not
+ * @property {Array.<String>} [methods] HTTP methods, case-insensitive
+ * @property {Array.<String>} [types] webRequest resource types, e.g.
+ * 'xmlhttprequest', 'script', 'image', 'main_frame'
+ * @property {Array.<String>} [initiators] origins of the document which made
+ * the request, e.g. 'https://example.com'
+ * @property {Array.<RegexSpec>} [tabUrls] matched against the url of the
+ * request's tab.
+ * @property {Object} [headers] request header names mapped to true (must be
+ * present), false (must be absent), or a RegexSpec the value must match.
+ * @property {Object} [responseHeaders] as 'headers', for the response.
+ * @property {Array.<Number>} [statusCodes] response status codes
  */
-chrome.webRequest.onBeforeRedirect.addListener(function(details) {
-  dconsole.debug("tamperApi: onBeforeRedirect: details: ", details);
-}, {urls : [ "<all_urls>" ]}, [ "responseHeaders" ]);
 
-chrome.webRequest.onCompleted.addListener(function(details) {
-  // unused at the moment.
-}, {urls : [ "<all_urls>" ]}, [ "responseHeaders" ]);
+/**
+ * Checks the filter of the log commands, see TrafficLog#query.
+ * @param  {Object} filter
+ * @param  {String} path
+ * @throws {TamperApiError}
+ */
+function validateLogFilter(filter, path) {
+  validateKeys(filter,
+               [ "regexes", "urls", "tabId", "tampered", "since", "limit" ],
+               path);
+  validatePatternParams(filter, path);
+  [ "tabId", "since", "limit" ].forEach((prop) => {
+    if (typeof filter[prop] !== "undefined") {
+      validateType(filter[prop], "number", path + "." + prop);
+    }
+  });
+  if (typeof filter.tampered !== "undefined") {
+    validateType(filter.tampered, "boolean", path + ".tampered");
+  }
+}
+
+/**
+ * Checks the params of MetaTamper (an AddTamperCmd, page-side).
+ * @param  {Object} params see addMetaTamper
+ * @param  {String} path where params are in the TamperApiMsg, e.g. "options"
+ * @throws {TamperApiError} "INVALID_PARAMS", with the path of the offending
+ * property
+ */
+function validateAddTamperCmd(params, path) {
+  validateType(params, "object", path);
+  // id, tabId, frameId, origin, ruleSet, expires and remaining are set by the
+  // background, but may be passed back, e.g. when updating an entry.
+  validateKeys(params,
+               [
+                 "regexes", "urls", "matches", "when", "tamper", "scope",
+                 "priority", "merge", "enabled", "id", "tabId", "frameId",
+                 "origin", "ruleSet", "expires", "remaining"
+               ],
+               path);
+  if (typeof params.regexes === "undefined" &&
+      typeof params.urls === "undefined" &&
+      typeof params.matches === "undefined" &&
+      typeof params.when === "undefined") {
+    throw new TamperApiError(
+        "INVALID_PARAMS", "neither regexes, urls, matches nor when specified.",
+        path);
+  }
+  validatePatternParams(params, path);
+  if (typeof params.when !== "undefined") {
+    validateCondition(params.when, path + ".when");
+  }
+  if (typeof params.tamper === "undefined") {
+    throw new TamperApiError("INVALID_PARAMS", "tamper not specified.",
+                             path + ".tamper");
+  }
+  validateTamperSpec(params.tamper, path + ".tamper");
+  if (typeof params.priority !== "undefined") {
+    validateType(params.priority, "number", path + ".priority");
+    if (!isFinite(params.priority)) {
+      throw new TamperApiError("INVALID_PARAMS",
+                               "priority must be a finite number.",
+                               path + ".priority");
+    }
+  }
+  [ "merge", "enabled" ].forEach((key) => {
+    if (typeof params[key] !== "undefined") {
+      validateType(params[key], "boolean", path + "." + key);
+    }
+  });
+}
+
+/**
+ * Checks the regexes, urls and scope which MetaTamper and RegisterCb share.
+ * @param  {Object} params
+ * @param  {String} path
+ * @throws {TamperApiError}
+ */
+function validatePatternParams(params, path) {
+  if (typeof params.regexes !== "undefined") {
+    validateRegexSpecs(params.regexes, path + ".regexes");
+  }
+  if (typeof params.urls !== "undefined") {
+    validateStrings(params.urls, path + ".urls");
+  }
+  if (typeof params.matches !== "undefined") {
+    validateStrings(params.matches, path + ".matches");
+    params.matches.forEach((pattern, i) => {
+      if (parseMatchPattern(pattern) === null) {
+        throw new TamperApiError(
+            "INVALID_PARAMS",
+            "not a match pattern, like '*://*.example.com/api/*'.",
+            path + ".matches[" + i + "]");
+      }
+    });
+  }
+  if (typeof params.scope !== "undefined" &&
+      ![ "tab", "frame", "global" ].includes(params.scope)) {
+    throw new TamperApiError("INVALID_PARAMS",
+                             "scope must be one of 'tab', 'frame' or 'global'.",
+                             path + ".scope");
+  }
+}
+
+/**
+ * Checks a TamperSpec, as given by the client (not normalized).
+ * @param  {TamperSpec} tamperSpec
+ * @param  {String} path
+ * @throws {TamperApiError}
+ */
+function validateTamperSpec(tamperSpec, path) {
+  validateType(tamperSpec, "object", path);
+  validateKeys(tamperSpec,
+               [
+                 "headers", "remove", "headerOps", "query", "cookies",
+                 "method", "body", "cors", "action", "redirect", "response",
+                 "opts"
+               ],
+               path);
+  if (typeof tamperSpec.headers !== "undefined") {
+    validateHeaderValues(tamperSpec.headers, path + ".headers");
+  }
+  if (typeof tamperSpec.remove !== "undefined") {
+    validateHeaderRemovals(tamperSpec.remove, path + ".remove");
+  }
+  if (typeof tamperSpec.headerOps !== "undefined") {
+    validateHeaderOps(tamperSpec.headerOps, path + ".headerOps");
+  }
+  if (typeof tamperSpec.query !== "undefined") {
+    validateType(tamperSpec.query, "object", path + ".query");
+    validateKeys(tamperSpec.query, [ "set", "remove" ], path + ".query");
+    validateSetRemove(tamperSpec.query, path + ".query");
+  }
+  if (typeof tamperSpec.cookies !== "undefined") {
+    validateType(tamperSpec.cookies, "object", path + ".cookies");
+    validateKeys(tamperSpec.cookies, [ "set", "remove" ], path + ".cookies");
+    validateSetRemove(tamperSpec.cookies, path + ".cookies");
+    validateCookieTexts(tamperSpec.cookies, path + ".cookies");
+  }
+  if (typeof tamperSpec.method !== "undefined") {
+    validateType(tamperSpec.method, "string", path + ".method");
+    if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(tamperSpec.method)) {
+      throw new TamperApiError("INVALID_PARAMS",
+                               "method is not a valid HTTP method.",
+                               path + ".method");
+    }
+  }
+  if (typeof tamperSpec.body !== "undefined") {
+    validateType(tamperSpec.body, "object", path + ".body");
+    validateKeys(tamperSpec.body, [ "replace", "json", "form" ],
+                 path + ".body");
+    if (typeof tamperSpec.body.form !== "undefined") {
+      validateType(tamperSpec.body.form, "object", path + ".body.form");
+      validateKeys(tamperSpec.body.form, [ "set", "remove" ],
+                   path + ".body.form");
+      validateSetRemove(tamperSpec.body.form, path + ".body.form");
+    }
+  }
+  if (typeof tamperSpec.cors !== "undefined" &&
+      typeof tamperSpec.cors !== "boolean") {
+    validateCorsSpec(tamperSpec.cors, path + ".cors");
+  }
+  if (typeof tamperSpec.action !== "undefined" &&
+      tamperSpec.action !== "block") {
+    validateActionSpec(tamperSpec.action, path + ".action");
+  }
+  if (typeof tamperSpec.redirect !== "undefined") {
+    validateRedirectSpec(tamperSpec.redirect, path + ".redirect");
+  }
+  if (typeof tamperSpec.response !== "undefined") {
+    validateResponseSpec(tamperSpec.response, path + ".response");
+  }
+  if (typeof tamperSpec.opts !== "undefined") {
+    validateType(tamperSpec.opts, "object", path + ".opts");
+    validateKeys(tamperSpec.opts,
+                 [ "once", "times", "ttl", "until", "followRedirects" ],
+                 path + ".opts");
+    if (typeof tamperSpec.opts.once !== "undefined") {
+      validateType(tamperSpec.opts.once, "boolean", path + ".opts.once");
+    }
+    var times = tamperSpec.opts.times;
+    if (typeof times !== "undefined") {
+      validateType(times, "number", path + ".opts.times");
+      if (!(Number.isInteger(times) && times >= 1)) {
+        throw new TamperApiError("INVALID_PARAMS",
+                                 "times must be a positive integer.",
+                                 path + ".opts.times");
+      }
+    }
+    [ "ttl", "until" ].forEach((key) => {
+      var value = tamperSpec.opts[key];
+      if (typeof value !== "undefined") {
+        validateType(value, "number", path + ".opts." + key);
+        if (!(isFinite(value) && value > 0)) {
+          throw new TamperApiError("INVALID_PARAMS",
+                                   key + " must be a positive number.",
+                                   path + ".opts." + key);
+        }
+      }
+    });
+    var followRedirects = tamperSpec.opts.followRedirects;
+    if (typeof followRedirects !== "undefined" &&
+        ![ true, false, "same-origin" ].includes(followRedirects)) {
+      throw new TamperApiError(
+          "INVALID_PARAMS",
+          "followRedirects must be true, false or 'same-origin'.",
+          path + ".opts.followRedirects");
+    }
+  }
+}
+
+/**
+ * Checks TamperSpec.action, if not 'block'.
+ * @param  {Object} action
+ * @param  {String} path
+ * @throws {TamperApiError}
+ */
+function validateActionSpec(action, path) {
+  validateType(action, "object", path);
+  validateKeys(action, [ "block", "delay", "fail", "failRate" ], path);
+  if (typeof action.block !== "undefined") {
+    validateType(action.block, "boolean", path + ".block");
+  }
+  if (typeof action.delay !== "undefined") {
+    validateType(action.delay, "number", path + ".delay");
+    if (!(action.delay >= 0)) {
+      throw new TamperApiError("INVALID_PARAMS", "delay must not be negative.",
+                               path + ".delay");
+    }
+  }
+  if (typeof action.fail !== "undefined") {
+    validateType(action.fail, "string", path + ".fail");
+    if (!/^net::ERR_[A-Z0-9_]+$/.test(action.fail)) {
+      throw new TamperApiError(
+          "INVALID_PARAMS", "fail must be a net error like 'net::ERR_FAILED'.",
+          path + ".fail");
+    }
+  }
+  if (typeof action.failRate !== "undefined") {
+    validateType(action.failRate, "number", path + ".failRate");
+    if (!(action.failRate >= 0 && action.failRate <= 1)) {
+      throw new TamperApiError("INVALID_PARAMS",
+                               "failRate must be between 0 and 1.",
+                               path + ".failRate");
+    }
+  }
+}
+
+/**
+ * Checks TamperSpec.redirect.
+ * @param  {String|Object} redirect
+ * @param  {String} path
+ * @throws {TamperApiError}
+ */
+function validateRedirectSpec(redirect, path) {
+  if (typeof redirect === "string") {
+    redirect = {url : redirect};
+  }
+  validateType(redirect, "object", path);
+  validateKeys(redirect,
+               [ "url", "regex", "scheme", "host", "port", "pathPrefix" ],
+               path);
+  if (typeof redirect.regex !== "undefined") {
+    validateRegexSpec(redirect.regex, path + ".regex");
+    validateType(redirect.url, "string", path + ".url");
+  } else if (typeof redirect.url !== "undefined") {
+    validateType(redirect.url, "string", path + ".url");
+    try {
+      new URL(redirect.url);
+    } catch (e) {
+      throw new TamperApiError("INVALID_PARAMS", "url is not absolute.",
+                               path + ".url");
+    }
+  }
+  if (typeof redirect.scheme !== "undefined") {
+    validateType(redirect.scheme, "string", path + ".scheme");
+    if (!/^[a-z][a-z0-9+.-]*$/i.test(redirect.scheme)) {
+      throw new TamperApiError("INVALID_PARAMS", "scheme is not valid.",
+                               path + ".scheme");
+    }
+  }
+  if (typeof redirect.host !== "undefined") {
+    validateType(redirect.host, "string", path + ".host");
+  }
+  if (typeof redirect.port !== "undefined" &&
+      typeof redirect.port !== "number") {
+    validateType(redirect.port, "string", path + ".port");
+  }
+  if (typeof redirect.pathPrefix !== "undefined") {
+    var prefixPath = path + ".pathPrefix";
+    validateType(redirect.pathPrefix, "object", prefixPath);
+    validateKeys(redirect.pathPrefix, [ "from", "to" ], prefixPath);
+    validateType(redirect.pathPrefix.from, "string", prefixPath + ".from");
+    validateType(redirect.pathPrefix.to, "string", prefixPath + ".to");
+  }
+}
+
+/**
+ * Checks TamperSpec.cors, if not a boolean.
+ * @param  {Object} cors
+ * @param  {String} path
+ * @throws {TamperApiError}
+ */
+function validateCorsSpec(cors, path) {
+  validateType(cors, "object", path);
+  validateKeys(cors,
+               [
+                 "origins", "methods", "headers", "exposeHeaders",
+                 "credentials", "maxAge"
+               ],
+               path);
+  [ "origins", "methods", "headers", "exposeHeaders" ].forEach((key) => {
+    if (typeof cors[key] !== "undefined") {
+      validateStrings(cors[key], path + "." + key);
+    }
+  });
+  if (typeof cors.credentials !== "undefined") {
+    validateType(cors.credentials, "boolean", path + ".credentials");
+  }
+  if (typeof cors.maxAge !== "undefined") {
+    validateType(cors.maxAge, "number", path + ".maxAge");
+  }
+}
+
+/**
+ * Checks TamperSpec.headerOps or TamperSpec.response.headerOps.
+ * @param  {Array.<HeaderOp>} headerOps
+ * @param  {String} path
+ * @throws {TamperApiError}
+ */
+function validateHeaderOps(headerOps, path) {
+  validateType(headerOps, "array", path);
+  headerOps.forEach((headerOp, i) => {
+    var opPath = path + "[" + i + "]";
+    validateType(headerOp, "object", opPath);
+    validateKeys(headerOp, [ "op", "name", "value", "regex", "separator" ],
+                 opPath);
+    if (!headerOpNames.includes(headerOp.op)) {
+      var msg = "op must be one of " + headerOpNames.join(", ") + ".";
+      throw new TamperApiError("INVALID_PARAMS", msg, opPath + ".op");
+    }
+    validateType(headerOp.name, "string", opPath + ".name");
+    validateType(headerOp.value, "string", opPath + ".value");
+    validateTemplate(headerOp.value, opPath + ".value");
+    if (headerOp.op === "replace") {
+      validateRegexSpec(headerOp.regex, opPath + ".regex");
+    } else if (typeof headerOp.regex !== "undefined") {
+      throw new TamperApiError("INVALID_PARAMS",
+                               "regex is only for the 'replace' op.",
+                               opPath + ".regex");
+    }
+    if (typeof headerOp.separator !== "undefined") {
+      validateType(headerOp.separator, "string", opPath + ".separator");
+    }
+  });
+}
+
+/**
+ * Checks that the placeholders of a template are known.
+ * @param  {String} template
+ * @param  {String} path
+ * @throws {TamperApiError}
+ */
+function validateTemplate(template, path) {
+  var match;
+  var placeholder = new RegExp(templatePlaceholder.source, "g");
+  while ((match = placeholder.exec(template)) !== null) {
+    if (!isTemplateKey(match[1])) {
+      throw new TamperApiError("INVALID_PARAMS",
+                               "unknown placeholder '" + match[0] + "'.", path);
+    }
+  }
+}
+
+/**
+ * Checks TamperSpec.response.cookies.
+ * @param  {Object} cookies
+ * @param  {String} path
+ * @throws {TamperApiError}
+ */
+function validateResponseCookies(cookies, path) {
+  validateType(cookies, "object", path);
+  validateKeys(cookies, [ "remove", "attributes" ], path);
+  if (typeof cookies.remove !== "undefined") {
+    validateStrings(cookies.remove, path + ".remove");
+    cookies.remove.forEach(
+        (name, i) => validateCookieText(name, path + ".remove[" + i + "]"));
+  }
+  if (typeof cookies.attributes === "undefined") {
+    return;
+  }
+  validateType(cookies.attributes, "object", path + ".attributes");
+  for (var name in cookies.attributes) {
+    var attributes = cookies.attributes[name];
+    var namePath = path + ".attributes." + name;
+    validateCookieText(name, namePath);
+    validateType(attributes, "object", namePath);
+    for (var attribute in attributes) {
+      var value = attributes[attribute];
+      var attributePath = namePath + "." + attribute;
+      validateCookieText(attribute, attributePath);
+      if (value !== null && typeof value !== "boolean") {
+        validateType(value, "string", attributePath);
+        validateCookieText(value, attributePath);
+      }
+    }
+  }
+}
+
+/**
+ * Checks the cookie names of 'set' and 'remove', and the values of 'set', of
+ * TamperSpec.cookies.
+ * @param  {Object} cookies
+ * @param  {String} path
+ * @throws {TamperApiError}
+ */
+function validateCookieTexts(cookies, path) {
+  var set = cookies.set || {};
+  for (var name in set) {
+    validateCookieText(name, path + ".set." + name);
+    if (set[name] !== null) {
+      validateCookieText(set[name], path + ".set." + name);
+    }
+  }
+  (cookies.remove || []).forEach(
+      (name, i) => validateCookieText(name, path + ".remove[" + i + "]"));
+}
+
+/**
+ * Checks a cookie name, value, or attribute, which would otherwise end the
+ * cookie, or the header, it's in.
+ * @param  {String} text
+ * @param  {String} path
+ * @throws {TamperApiError}
+ */
+function validateCookieText(text, path) {
+  if (/[;\r\n]/.test(text)) {
+    throw new TamperApiError("INVALID_PARAMS",
+                             "cookies can't contain ';', CR or LF.", path);
+  }
+}
+
+/**
+ * The statuses TamperSpec.response.mock.status may be, those the Response
+ * constructor takes, as page.js mocks responses with it. page.js checks those
+ * of interceptors against the same range, see TamperApi._mockStatusRange.
+ * @type {Object}
+ */
+const mockStatusRange = {min : 200, max : 599};
+
+/**
+ * Checks TamperSpec.response.
+ * @param  {Object} response
+ * @param  {String} path
+ * @throws {TamperApiError}
+ */
+function validateResponseSpec(response, path) {
+  validateType(response, "object", path);
+  validateKeys(response,
+               [ "headers", "remove", "headerOps", "cookies", "body", "mock" ],
+               path);
+  if (typeof response.headers !== "undefined") {
+    validateHeaderValues(response.headers, path + ".headers");
+  }
+  if (typeof response.remove !== "undefined") {
+    validateHeaderRemovals(response.remove, path + ".remove");
+  }
+  if (typeof response.headerOps !== "undefined") {
+    validateHeaderOps(response.headerOps, path + ".headerOps");
+  }
+  if (typeof response.cookies !== "undefined") {
+    validateResponseCookies(response.cookies, path + ".cookies");
+  }
+  if (typeof response.body !== "undefined") {
+    validateType(response.body, "object", path + ".body");
+    validateKeys(response.body, [ "replace", "json" ], path + ".body");
+    if (typeof response.body.replace !== "undefined") {
+      validateType(response.body.replace, "string", path + ".body.replace");
+    }
+  }
+  var mock = response.mock;
+  if (typeof mock === "undefined" || mock === null) {
+    return;
+  }
+  path += ".mock";
+  validateType(mock, "object", path);
+  validateKeys(mock,
+               [ "status", "statusText", "headers", "body", "json", "base64" ],
+               path);
+  if (typeof mock.status !== "undefined" &&
+      !(Number.isInteger(mock.status) && mock.status >= mockStatusRange.min &&
+        mock.status <= mockStatusRange.max)) {
+    throw new TamperApiError("INVALID_PARAMS",
+                             "status must be an integer from " +
+                                 mockStatusRange.min + " to " +
+                                 mockStatusRange.max + ".",
+                             path + ".status");
+  }
+  [ "statusText", "body", "base64" ].forEach((key) => {
+    if (typeof mock[key] !== "undefined") {
+      validateType(mock[key], "string", path + "." + key);
+    }
+  });
+  if (typeof mock.base64 !== "undefined" &&
+      !/^[A-Za-z0-9+/]*={0,2}$/.test(mock.base64)) {
+    throw new TamperApiError("INVALID_PARAMS", "base64 is not valid base64.",
+                             path + ".base64");
+  }
+  if (typeof mock.headers !== "undefined") {
+    validateHeaderMap(mock.headers, path + ".headers");
+  }
+}
+
+/**
+ * Checks a Condition.
+ * @param  {Condition} condition
+ * @param  {String} path
+ * @throws {TamperApiError}
+ */
+function validateCondition(condition, path) {
+  validateType(condition, "object", path);
+  for (var term in condition) {
+    var value = condition[term];
+    var termPath = path + "." + term;
+    if (term === "all" || term === "any") {
+      validateType(value, "array", termPath);
+      value.forEach((nested, i) =>
+                        validateCondition(nested, termPath + "[" + i + "]"));
+    } else if (term === "not") {
+      validateCondition(value, termPath);
+    } else if ([ "methods", "types", "initiators" ].includes(term)) {
+      validateStrings(value, termPath);
+    } else if (term === "tabUrls") {
+      validateRegexSpecs(value, termPath);
+    } else if (term === "headers" || term === "responseHeaders") {
+      validateType(value, "object", termPath);
+      for (var name in value) {
+        if (typeof value[name] !== "boolean") {
+          validateRegexSpec(value[name], termPath + "." + name);
+        }
+      }
+    } else if (term === "statusCodes") {
+      validateType(value, "array", termPath);
+      value.forEach((statusCode, i) => validateType(
+                        statusCode, "number", termPath + "[" + i + "]"));
+    } else {
+      throw new TamperApiError("INVALID_PARAMS",
+                               "unknown Condition term: " + term, termPath);
+    }
+  }
+}
+
+/**
+ * Checks the 'set' and 'remove' of TamperSpec.query, TamperSpec.cookies and
+ * TamperSpec.body.form.
+ * @param  {Object} obj
+ * @param  {String} path
+ * @throws {TamperApiError}
+ */
+function validateSetRemove(obj, path) {
+  if (typeof obj.set !== "undefined") {
+    validateHeaderMap(obj.set, path + ".set");
+  }
+  if (typeof obj.remove !== "undefined") {
+    validateStrings(obj.remove, path + ".remove");
+  }
+}
+
+/**
+ * Checks a map of header names to HeaderValue, or null for removal.
+ * @param  {Object} map
+ * @param  {String} path
+ * @throws {TamperApiError}
+ */
+function validateHeaderValues(map, path) {
+  validateType(map, "object", path);
+  for (var name in map) {
+    var headerValue = map[name];
+    var valuePath = path + "." + name;
+    if (headerValue === null || typeof headerValue === "string") {
+      continue;
+    }
+    if (!Array.isArray(headerValue)) {
+      validateType(headerValue, "object", valuePath);
+      validateKeys(headerValue, [ "value", "mode" ], valuePath);
+      if (typeof headerValue.mode !== "undefined" &&
+          ![ "replace", "add" ].includes(headerValue.mode)) {
+        throw new TamperApiError("INVALID_PARAMS",
+                                 "mode must be 'replace' or 'add'.",
+                                 valuePath + ".mode");
+      }
+      headerValue = headerValue.value;
+      valuePath += ".value";
+    }
+    if (!Array.isArray(headerValue)) {
+      validateType(headerValue, "string", valuePath);
+    } else {
+      validateStrings(headerValue, valuePath);
+    }
+  }
+}
+
+/**
+ * Checks TamperSpec.remove or TamperSpec.response.remove.
+ * @param  {Array.<String|Object>} removals
+ * @param  {String} path
+ * @throws {TamperApiError}
+ */
+function validateHeaderRemovals(removals, path) {
+  validateType(removals, "array", path);
+  removals.forEach((removal, i) => {
+    var removalPath = path + "[" + i + "]";
+    if (typeof removal === "string") {
+      return;
+    }
+    validateType(removal, "object", removalPath);
+    validateKeys(removal, [ "name", "value" ], removalPath);
+    validateType(removal.name, "string", removalPath + ".name");
+    validateRegexSpec(removal.value, removalPath + ".value");
+  });
+}
+
+/**
+ * Checks a map of names to string values, or null for removal.
+ * @param  {Object} map
+ * @param  {String} path
+ * @throws {TamperApiError}
+ */
+function validateHeaderMap(map, path) {
+  validateType(map, "object", path);
+  for (var name in map) {
+    if (map[name] !== null) {
+      validateType(map[name], "string", path + "." + name);
+    }
+  }
+}
+
+/**
+ * @param  {Array.<String>} strings
+ * @param  {String} path
+ * @throws {TamperApiError}
+ */
+function validateStrings(strings, path) {
+  validateType(strings, "array", path);
+  strings.forEach(
+      (str, i) => validateType(str, "string", path + "[" + i + "]"));
+}
+
+/**
+ * @param  {Array.<RegexSpec>} regexSpecs
+ * @param  {String} path
+ * @throws {TamperApiError}
+ */
+function validateRegexSpecs(regexSpecs, path) {
+  validateType(regexSpecs, "array", path);
+  regexSpecs.forEach(
+      (regexSpec, i) => validateRegexSpec(regexSpec, path + "[" + i + "]"));
+}
+
+/**
+ * Checks a RegexSpec, including that it compiles.
+ * @param  {RegexSpec} regexSpec
+ * @param  {String} path
+ * @throws {TamperApiError}
+ */
+function validateRegexSpec(regexSpec, path) {
+  validateType(regexSpec, "array", path);
+  validateType(regexSpec[0], "string", path + "[0]");
+  if (typeof regexSpec[1] !== "undefined") {
+    validateType(regexSpec[1], "string", path + "[1]");
+  }
+  try {
+    makeRegex(regexSpec);
+  } catch (e) {
+    throw new TamperApiError("INVALID_PARAMS", e.message, path);
+  }
+}
 
 /**
- * A message from the client side.
- * @typedef {Object} TamperApiMsg
- * @property {TamperCmd} command
- * @property {Object} options user provided object. Req'd properties depend on
- * 'command'.
+ * @param  {*} value
+ * @param  {String} type a typeof result, or 'array'. 'object' excludes arrays
+ * and null.
+ * @param  {String} path
+ * @throws {TamperApiError}
  */
+function validateType(value, type, path) {
+  var actual = Array.isArray(value) ? "array"
+                                    : (value === null) ? "null" : typeof value;
+  if (actual !== type) {
+    throw new TamperApiError("INVALID_PARAMS",
+                             "expected " + type + " but got " + actual + ".",
+                             path);
+  }
+}
 
 /**
- * :String
- * @typedef TamperCmd
- * @property {String} sendBackground Prompts an echo response from extension.
- * @property {String} RegisterCb Registers a callback for request/response.
- * Requires that TamperApiMsg.cb be set to a stringified function. Not
- * implemented as of now.
- * @property {String} MetaTamper Provides for normal tampering on requests whose
- * urls match one of the provides regexes. Either TamperApiMsg.options.regexes
- * or TamperApiMsg.options.urls must be set. For 'regexes', it is an array of
- * RegexSpec. If using the page-size tamperApi.add(), you may specify the
- * regexes as actual js RegExp objs. For 'urls' it is an array of url strings.
- * In either case, any one particular url / regex which matches will trigger
- * the tampering. TamperApiMsg.options.tamper must be set a TamperSpec.
+ * @param  {Object} obj
+ * @param  {Array.<String>} known the property names obj may have
+ * @param  {String} path
+ * @throws {TamperApiError}
  */
+function validateKeys(obj, known, path) {
+  for (var key in obj) {
+    if (!known.includes(key)) {
+      throw new TamperApiError("INVALID_PARAMS", "unknown property: " + key,
+                               path + "." + key);
+    }
+  }
+}
 
 /**
- * A regex specification (array). Property names are the indexes.
- * @typedef RegexSpec
- * @type {Array}
- * @property {String} 0 a regex string.
- * @property {String} [1] a list of modifiers to the regex. E.g. 'gi' sets it to
- * global case-insensitive.
+ * Evaluates a Condition against what is known of a request.
+ *
+ * Terms needing what is not known (a property of 'details' is undefined) are
+ * left undecided; the result is then a Condition of only those terms, to be
+ * evaluated once they can be. E.g. 'headers' are undecided in onBeforeRequest,
+ * 'statusCodes' until onHeadersReceived.
+ * @param  {Condition} condition
+ * @param  {Object} details like webRequest details, with the properties
+ * 'method', 'type', 'initiator', 'tabId', 'requestHeaders', 'responseHeaders'
+ * and 'statusCode'.
+ * @return {Boolean|Condition} true or false if decided, otherwise what
+ * remains undecided.
  */
+function evaluateCondition(condition, details) {
+  var results = [];
+  for (var term in condition) {
+    results.push(evaluateConditionTerm(term, condition[term], details));
+  }
+  return combineConditionResults("all", results);
+}
 
 /**
- * @param  {TamperApiMsg} msg
+ * @param  {String} term a property name of Condition
+ * @param  {*} value its value
+ * @param  {Object} details see evaluateCondition
+ * @return {Boolean|Condition}
  */
-chrome.runtime.onMessage.addListener(function(msg, sender, sendResponse) {
-  if (!msg.command) {
-    sendResponse({
-      success : false,
-      msg : "msg did not have 'command' property, which is required."
-    });
-    return;
+function evaluateConditionTerm(term, value, details) {
+  if (term === "all" || term === "any") {
+    return combineConditionResults(
+        term, value.map((condition) => evaluateCondition(condition, details)));
   }
-  var cmd = msg.command;
-  if (cmd === "sendBackground") {
-    dconsole.debug(
-        "TamperApi: background: received sendBackground command. full msg was: ",
-        msg);
-    sendResponse(
-        "this is a response from background script to content script via sendResponse callback.");
-  } else if (cmd === "RegisterCb") {
-    throw new Error("not implemented.");
-  } else if (cmd === "MetaTamper") {
-    dconsole.debug(
-        "TamperApi: background: received MetaTamper cmd. full msg was: ", msg);
-    addMetaTamper(msg.options);
-    sendResponse(
-        {success : true, msg : "MetaTamper entry created successfully."});
-  } else {
-    dconsole.error(
-        "TamperApi: background: received message with unknown command from content script: ",
-        msg);
+  if (term === "not") {
+    var result = evaluateCondition(value, details);
+    return (typeof result === "boolean") ? !result : {not : result};
   }
-});
-
-// https://developer.mozilla.org/en-US/docs/Web/API/WindowBase64/Base64_encoding_and_decoding
-function b64EncodeUnicode(str) {
-  // first we use encodeURIComponent to get percent-encoded UTF-8,
-  // then we convert the percent encodings into raw bytes which
-  // can be fed into btoa.
-  return btoa(encodeURIComponent(str).replace(
-      /%([0-9A-F]{2})/g, function toSolidBytes(match, p1) {
-        return String.fromCharCode('0x' + p1);
-      }));
+  var known = {
+    methods : details.method,
+    types : details.type,
+    initiators : requestInitiator(details),
+    tabUrls : details.tabId,
+    headers : details.requestHeaders,
+    responseHeaders : details.responseHeaders,
+    statusCodes : details.statusCode,
+  };
+  if (!(term in known)) {
+    throw new Error("unknown Condition term: " + term);
+  }
+  if (typeof known[term] === "undefined") {
+    var undecided = {};
+    undecided[term] = value;
+    return undecided;
+  }
+  if (term === "methods") {
+    return value.some(
+        (method) => method.toUpperCase() === details.method.toUpperCase());
+  } else if (term === "types") {
+    return value.includes(details.type);
+  } else if (term === "initiators") {
+    return value.includes(requestInitiator(details));
+  } else if (term === "tabUrls") {
+    var tabUrl = tabUrls[details.tabId];
+    return typeof tabUrl !== "undefined" &&
+           value.some((regex) => tabUrl.match(makeRegex(regex)) !== null);
+  } else if (term === "headers") {
+    return headersMatch(details.requestHeaders, value);
+  } else if (term === "responseHeaders") {
+    return headersMatch(details.responseHeaders, value);
+  }
+  return value.includes(details.statusCode);
 }
 
-// https://developer.mozilla.org/en-US/docs/Web/API/WindowBase64/Base64_encoding_and_decoding
-function b64DecodeUnicode(str) {
-  // Going backwards: from bytestream, to percent-encoding, to original string.
-  return decodeURIComponent(
-      atob(str)
-          .split('')
-          .map(function(c) {
-            return '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2);
-          })
-          .join(''));
+/**
+ * @param  {String} op 'all' or 'any'
+ * @param  {Array.<Boolean|Condition>} results
+ * @return {Boolean|Condition} the combined result
+ */
+function combineConditionResults(op, results) {
+  var decisive = (op === "any");
+  if (results.includes(decisive)) {
+    return decisive;
+  }
+  var undecided = results.filter((result) => result !== !decisive);
+  if (undecided.length === 0) {
+    return !decisive;
+  }
+  if (undecided.length === 1) {
+    return undecided[0];
+  }
+  var combined = {};
+  combined[op] = undecided;
+  return combined;
 }
 
-function deepClone(obj) { return JSON.parse(JSON.stringify(obj)); };
-
-function decodeReqModifyOpts(str) { return JSON.parse(b64DecodeUnicode(str)); }
-
 /**
- *
- * @param {Object} params
- * @param {Array.<RegexSpec>} params.regexes
- * @param {Array.<String>} params.urls
- * @param {TamperSpec} params.tamper
+ * @param  {Array.<Object>} headers in webRequest details.*headers format
+ * @param  {Object} spec see Condition.headers
+ * @return {Boolean} whether the headers satisfy every entry of spec
  */
-function addMetaTamper(params) { tamperState.addPattern(params); }
+function headersMatch(headers, spec) {
+  for (var name in spec) {
+    var value = getHeader(headers, name);
+    var matched;
+    if (spec[name] === true) {
+      matched = value !== null;
+    } else if (spec[name] === false) {
+      matched = value === null;
+    } else {
+      matched = value !== null && value.match(makeRegex(spec[name])) !== null;
+    }
+    if (!matched) {
+      return false;
+    }
+  }
+  return true;
+}
 
 /**
  * Converts RegexSpec to an actual regex.
@@ -479,56 +5615,629 @@ function getHeader(headers, key) {
   return null;
 }
 
-// returns null if server sent no redirect, otherwise the redirect target url
-function checkIfRedirect(details) {
-  if (details.statusCode === 301 || details.statusCode === 302) {
-    var redirectTarget = getHeader(details.responseHeaders, "Location");
-    if (redirectTarget === null) {
-      throw new Error(
-          "tamperApi::checkIfRedirect: found 301 status but no location header.");
+/**
+ * @param  {Object} details webRequest details, with responseHeaders
+ * @return {Boolean} whether the response is a redirect the browser follows
+ */
+function isRedirect(details) {
+  return [ 301, 302, 303, 307, 308 ].includes(details.statusCode) &&
+         getHeader(details.responseHeaders, "Location") !== null;
+}
+
+/**
+ * @param  {TamperSpec} tamperSpec
+ * @param  {String} url the url redirected from
+ * @param  {String} redirectUrl the url redirected to
+ * @return {Boolean} whether the TamperSpec should apply to the redirect
+ * target, according to its opts.followRedirects.
+ */
+function followsRedirect(tamperSpec, url, redirectUrl) {
+  var followRedirects = tamperSpec.opts.followRedirects;
+  if (followRedirects === "same-origin") {
+    return urlOrigin(url) === urlOrigin(redirectUrl);
+  }
+  return followRedirects !== false;
+}
+
+/**
+ * @param  {Object} details webRequest details, with requestHeaders
+ * @return {Boolean} whether the request is a CORS preflight
+ */
+function isPreflight(details) {
+  return details.method === "OPTIONS" &&
+         getHeader(details.requestHeaders, "Access-Control-Request-Method") !==
+             null;
+}
+
+/**
+ * @param  {Object} details webRequest details
+ * @return {String|undefined} the origin which made the request, undefined if
+ * the browser itself made it. Chrome gives it as 'initiator', Firefox gives
+ * the url of the document or worker as 'originUrl' instead.
+ */
+function requestInitiator(details) {
+  if (typeof details.initiator !== "undefined" || !details.originUrl) {
+    return details.initiator;
+  }
+  try {
+    return new URL(details.originUrl).origin;
+  } catch (e) {
+    return "null";
+  }
+}
+
+/**
+ * Works out the CORS response headers which let the request's initiator read
+ * the response, according to TamperSpec.cors.
+ * @param  {TamperSpec} tamperSpec normalized, with 'preflight' set if the
+ * request is a preflight (see onBeforeSendHeaders)
+ * @param  {Object} details webRequest details of onHeadersReceived
+ * @return {Object} a key-value map of headers to set
+ */
+function corsHeaders(tamperSpec, details) {
+  var cors = tamperSpec.cors;
+  // the browser sends the initiator as the Origin of CORS requests.
+  var origin = requestInitiator(details) || "null";
+  if (cors.origins && !cors.origins.includes(origin)) {
+    return {};
+  }
+  var headers = {};
+  if (cors.credentials) {
+    // '*' is not accepted for requests with credentials.
+    headers["Access-Control-Allow-Origin"] = origin;
+    headers["Access-Control-Allow-Credentials"] = "true";
+    var vary = getHeader(details.responseHeaders, "Vary");
+    headers["Vary"] = (vary === null) ? "Origin"
+                      : /\borigin\b/i.test(vary) ? vary : vary + ", Origin";
+  } else {
+    headers["Access-Control-Allow-Origin"] = "*";
+  }
+  var preflight = tamperSpec.preflight;
+  if (preflight) {
+    headers["Access-Control-Allow-Methods"] =
+        cors.methods ? cors.methods.join(", ") : preflight.method;
+    var allowHeaders =
+        cors.headers ? cors.headers.join(", ") : preflight.headers;
+    if (allowHeaders) {
+      headers["Access-Control-Allow-Headers"] = allowHeaders;
     }
-    return redirectTarget;
+    if (typeof cors.maxAge !== "undefined") {
+      headers["Access-Control-Max-Age"] = String(cors.maxAge);
+    }
+    return headers;
   }
-  return null;
-};
+  var exposeHeaders = cors.exposeHeaders ||
+                      details.responseHeaders.map((header) => header.name);
+  if (exposeHeaders.length > 0) {
+    headers["Access-Control-Expose-Headers"] = exposeHeaders.join(", ");
+  }
+  return headers;
+}
 
+/**
+ * Sets headers, in place of all occurrences of the same name unless adding.
+ * @param  {Array.<Object>} headers in webRequest details.*headers format
+ * @param  {Object} toSet a key-value map of header names to HeaderValue
+ * @return {Array.<Object>} the altered headers
+ */
 function setHeaders(headers, toSet) {
   for (var toSetKey in toSet) {
     if (!toSet.hasOwnProperty(toSetKey)) {
       continue;
     }
-    var setHeaderTo = toSet[toSetKey];
-    var foundHeaderToSet = false;
-    for (var headersInd = 0; headersInd < headers.length; headersInd++) {
-      var currHeaderName = headers[headersInd].name;
-      if (toSetKey.toLowerCase() !== currHeaderName.toLowerCase()) {
-        continue;
+    var headerValue = normalizeHeaderValue(toSet[toSetKey]);
+    var insertAt = headers.length;
+    var name = toSetKey;
+    if (headerValue.mode === "replace") {
+      for (var headersInd = headers.length - 1; headersInd >= 0; headersInd--) {
+        var currHeaderName = headers[headersInd].name;
+        if (toSetKey.toLowerCase() !== currHeaderName.toLowerCase()) {
+          continue;
+        }
+        // the first occurrence keeps its place and spelling.
+        insertAt = headersInd;
+        name = currHeaderName;
+        headers.splice(headersInd, 1);
       }
-      foundHeaderToSet = true;
-      headers[headersInd] = {
-        name : currHeaderName,
-        value : setHeaderTo,
-      };
     }
-    if (foundHeaderToSet) {
-      continue;
+    var newHeaders =
+        headerValue.values.map((value) => ({name : name, value : value}));
+    headers.splice(insertAt, 0, ...newHeaders);
+  }
+  return headers;
+}
+
+/**
+ * The value of a header to set:
+ * - a String
+ * - an Array of them, for an occurrence of the header each
+ * - an Object with 'value' (either of the above) and 'mode', 'replace' (the
+ *   default) to replace all existing occurrences of the header, or 'add' to
+ *   keep them
+ * @typedef {String|Array.<String>|Object} HeaderValue
+ */
+
+/**
+ * @param  {HeaderValue} headerValue
+ * @return {Object} with 'values', an Array of Strings, and 'mode'
+ */
+function normalizeHeaderValue(headerValue) {
+  var mode = "replace";
+  if (headerValue !== null && typeof headerValue === "object" &&
+      !Array.isArray(headerValue)) {
+    mode = headerValue.mode || mode;
+    headerValue = headerValue.value;
+  }
+  return {
+    values : Array.isArray(headerValue) ? headerValue : [ headerValue ],
+    mode : mode
+  };
+}
+
+/**
+ * Sets and removes query parameters of an url. Parameters which are not
+ * affected keep their original encoding and order.
+ * @param  {String} url
+ * @param  {Object} query
+ * @param  {Object} query.set a key-value map of parameters to set. An existing
+ * parameter keeps its position, otherwise it is appended.
+ * @param  {Array.<String>} query.remove names of parameters to remove
+ * @return {String} the altered url, identical to 'url' if nothing changed
+ */
+function tamperQuery(url, query) {
+  var setNames = Object.keys(query.set);
+  if (setNames.length === 0 && query.remove.length === 0) {
+    return url;
+  }
+  var hashInd = url.indexOf('#');
+  var hash = (hashInd === -1) ? '' : url.slice(hashInd);
+  var beforeHash = (hashInd === -1) ? url : url.slice(0, hashInd);
+  var queryInd = beforeHash.indexOf('?');
+  var path = (queryInd === -1) ? beforeHash : beforeHash.slice(0, queryInd);
+  var pairs =
+      (queryInd === -1) ? [] : beforeHash.slice(queryInd + 1).split('&');
+  var decode = function(str) {
+    str = str.replace(/\+/g, ' ');
+    try {
+      return decodeURIComponent(str);
+    } catch (e) {
+      return str;
     }
-    headers.push({
-      name : toSetKey,
-      value : setHeaderTo,
-    });
+  };
+  var encodePair = function(name) {
+    return encodeURIComponent(name) + '=' + encodeURIComponent(query.set[name]);
+  };
+  var alreadySet = [];
+  var newPairs = [];
+  pairs.forEach((pair) => {
+    var name = decode(pair.split('=')[0]);
+    if (query.remove.includes(name) || alreadySet.includes(name)) {
+      return;
+    }
+    if (setNames.includes(name)) {
+      alreadySet.push(name);
+      // keep the original encoding if the value is the same already.
+      var value = decode(pair.split('=').slice(1).join('='));
+      if (value !== String(query.set[name])) {
+        pair = encodePair(name);
+      }
+    }
+    newPairs.push(pair);
+  });
+  setNames.forEach((name) => {
+    if (!alreadySet.includes(name)) {
+      newPairs.push(encodePair(name));
+    }
+  });
+  newPairs = newPairs.filter((pair) => pair !== '');
+  var search = (newPairs.length === 0) ? '' : '?' + newPairs.join('&');
+  return path + search + hash;
+}
+
+/**
+ * Works out where a request is sent by TamperSpec.query and .redirect.
+ * @param  {Object} details webRequest details
+ * @param  {String} url the url of the request, before tampering
+ * @param  {TamperSpec} tamperSpec normalized
+ * @return {String} the url to redirect to, or 'url' if it stays the same, as
+ * it does if they come to no valid url, which is logged for the request.
+ */
+function redirectTarget(details, url, tamperSpec) {
+  try {
+    return rewriteUrl(tamperQuery(url, tamperSpec.query), tamperSpec.redirect);
+  } catch (e) {
+    dconsole.error("TamperApi: background: failed to redirect ", url, ": ",
+                   e);
+    trafficLog.noteWarning(details.requestId,
+                           "the redirect comes to no valid url: " + e.message);
+    return url;
+  }
+}
+
+/**
+ * Works out where TamperSpec.redirect sends a request. In order:
+ * - 'url' replaces the url, or if 'regex' is given, what it matches, where $1
+ *   etc. refer to its groups. If 'regex' doesn't match, the url is left as it
+ *   is altogether.
+ * - 'scheme', 'host' (the hostname) and 'port' replace those parts. An empty
+ *   port is the default one of the scheme.
+ * - 'pathPrefix' replaces 'from' at the start of the path with 'to'.
+ * @param  {String} url
+ * @param  {Object} [redirect] TamperSpec.redirect, normalized
+ * @return {String} the url to redirect to, or 'url' if it stays the same
+ * @throws {TypeError} if it comes to no absolute url, as 'url' with 'regex'
+ * may
+ */
+function rewriteUrl(url, redirect) {
+  if (!redirect) {
+    return url;
+  }
+  var rewritten = url;
+  if (redirect.regex) {
+    if (!makeRegex(redirect.regex).test(url)) {
+      return url;
+    }
+    rewritten = url.replace(makeRegex(redirect.regex), redirect.url);
+  } else if (typeof redirect.url !== "undefined") {
+    rewritten = redirect.url;
+  }
+  var parsed = new URL(rewritten);
+  if (typeof redirect.scheme !== "undefined") {
+    parsed.protocol = redirect.scheme + ":";
+  }
+  if (typeof redirect.host !== "undefined") {
+    parsed.hostname = redirect.host;
+  }
+  if (typeof redirect.port !== "undefined") {
+    parsed.port = String(redirect.port);
+  }
+  var pathPrefix = redirect.pathPrefix;
+  if (pathPrefix && parsed.pathname.startsWith(pathPrefix.from)) {
+    parsed.pathname =
+        pathPrefix.to + parsed.pathname.slice(pathPrefix.from.length);
+  }
+  return (parsed.href === new URL(url).href) ? url : parsed.href;
+}
+
+/**
+ * An operation on the value of a header.
+ * @typedef  {Object} HeaderOp
+ * @property {String} op 'set', 'append', 'prepend' or 'replace'
+ * @property {String} name the header name
+ * @property {String} value a template for the value to set, append or
+ * prepend, or to replace matches of 'regex' with (where $1 etc. refer to its
+ * groups)
+ * @property {RegexSpec} [regex] for 'replace'
+ * @property {String} [separator=', '] put between the existing value and what
+ * is appended or prepended
+ */
+
+const headerOpNames = [ "set", "append", "prepend", "replace" ];
+
+// e.g. {{url.host}}, {{header.Authorization}}
+const templatePlaceholder = /\{\{\s*([\w.-]+)\s*\}\}/;
+
+const templateUrlProps = [
+  "href", "origin", "protocol", "host", "hostname", "port", "pathname",
+  "search", "hash"
+];
+
+/**
+ * @param  {String} key the inside of a template placeholder
+ * @return {Boolean} whether it is one fillTemplate knows
+ */
+function isTemplateKey(key) {
+  var dot = key.indexOf(".");
+  var prefix = (dot === -1) ? key : key.slice(0, dot);
+  var rest = key.slice(dot + 1);
+  switch (prefix) {
+  case "timestamp":
+  case "requestId":
+  case "method":
+    return dot === -1;
+  case "url":
+    return dot === -1 || templateUrlProps.includes(rest);
+  case "header":
+    return dot !== -1 && rest.length > 0;
+  default:
+    return false;
+  }
+}
+
+/**
+ * Fills in the placeholders of a template:
+ * - {{url}} or {{url.<prop>}}, e.g. {{url.host}}, for the request url
+ * - {{header.<name>}} for the value of a header, empty if absent
+ * - {{timestamp}} for the current time in milliseconds
+ * - {{requestId}} and {{method}}
+ * and if 'groups' is given, $1 etc., $& and $$ as in String.replace(), all in
+ * one go, so that what is filled in is never taken for either.
+ * @param  {String} template
+ * @param  {Array.<Object>} headers the headers {{header.<name>}} refers to,
+ * in webRequest details.*headers format
+ * @param  {Object} details webRequest details
+ * @param  {Array.<String>} [groups] a regex match, the whole of it first
+ * @return {String}
+ */
+function fillTemplate(template, headers, details, groups) {
+  var source = templatePlaceholder.source;
+  if (groups) {
+    source += "|\\$(\\d\\d?|&|\\$)";
+  }
+  var placeholder = new RegExp(source, "g");
+  return template.replace(placeholder, (match, key, group) => {
+    if (groups && typeof group !== "undefined") {
+      return groupReference(match, groups);
+    }
+    var dot = key.indexOf(".");
+    var rest = key.slice(dot + 1);
+    if (key === "timestamp") {
+      return String(Date.now());
+    } else if (key === "requestId" || key === "method") {
+      return String(details[key]);
+    } else if (key === "url") {
+      return details.url;
+    } else if (key.startsWith("url.")) {
+      return new URL(details.url)[rest];
+    }
+    var value = getHeader(headers, rest);
+    return (value === null) ? "" : value;
+  });
+}
+
+/**
+ * Works out what a $ reference of a replacement stands for, the way
+ * String.replace() does: $$ for $, $& for the match, $1 to $99 for a group,
+ * of which $10 to $99 fall back to a one digit group and a digit if there are
+ * fewer groups, and the reference itself if there is no such group.
+ * @param  {String} reference e.g. '$1'
+ * @param  {Array.<String>} groups a regex match, the whole of it first
+ * @return {String}
+ */
+function groupReference(reference, groups) {
+  var name = reference.slice(1);
+  if (name === "$") {
+    return "$";
+  } else if (name === "&") {
+    return groups[0];
+  }
+  var index = Number(name);
+  if (name.length === 2 && index >= groups.length) {
+    return groupReference(reference.slice(0, 2), groups) + name[1];
+  }
+  if (index === 0 || index >= groups.length) {
+    return reference;
   }
+  return (typeof groups[index] === "undefined") ? "" : groups[index];
+}
+
+/**
+ * Applies HeaderOps, in order.
+ * @param  {Array.<Object>} headers in webRequest details.*headers format
+ * @param  {Array.<HeaderOp>} headerOps
+ * @param  {Object} details webRequest details, for templates
+ * @return {Array.<Object>} the altered headers
+ */
+function applyHeaderOps(headers, headerOps, details) {
+  headerOps.forEach((headerOp) => {
+    var current = getHeader(headers, headerOp.name);
+    var value = fillTemplate(headerOp.value, headers, details);
+    var separator =
+        (typeof headerOp.separator === "undefined") ? ", " : headerOp.separator;
+    switch (headerOp.op) {
+    case "append":
+      value = (current === null) ? value : current + separator + value;
+      break;
+    case "prepend":
+      value = (current === null) ? value : value + separator + current;
+      break;
+    case "replace":
+      if (current === null) {
+        return;
+      }
+      // with a replacer function, so that $& or $1 in a filled in header
+      // value aren't taken for references to the match.
+      value = current.replace(makeRegex(headerOp.regex), (...args) => {
+        var offset = args.findIndex((arg) => typeof arg === "number");
+        var groups = args.slice(0, offset);
+        return fillTemplate(headerOp.value, headers, details, groups);
+      });
+      break;
+    }
+    headers = setHeaders(headers, {[headerOp.name] : value});
+  });
   return headers;
 }
 
-function removeHeaders(headers, toRemove) {
-  toRemove = toRemove.map((str) => { return str.toLowerCase(); });
-  for (var headerInd = 0; headerInd < headers.length; headerInd++) {
-    if (!toRemove.includes(headers[headerInd].name.toLowerCase())) {
+/**
+ * Sets and removes cookies of the Cookie request header, keeping the others
+ * the browser would send.
+ * @param  {Array.<Object>} headers in webRequest details.*headers format
+ * @param  {Object} cookies
+ * @param  {Object} cookies.set a key-value map of cookies to set
+ * @param  {Array.<String>} cookies.remove names of cookies to remove
+ * @return {Array.<Object>} the altered headers
+ */
+function tamperCookies(headers, cookies) {
+  var setNames = Object.keys(cookies.set);
+  if (setNames.length === 0 && cookies.remove.length === 0) {
+    return headers;
+  }
+  var cookieHeader = getHeader(headers, "Cookie");
+  var pairs = (cookieHeader === null) ? [] : cookieHeader.split(";");
+  var newPairs = [];
+  pairs.forEach((pair) => {
+    pair = pair.trim();
+    var name = pair.split("=")[0];
+    if (pair === "" || cookies.remove.includes(name) ||
+        setNames.includes(name)) {
+      return;
+    }
+    newPairs.push(pair);
+  });
+  setNames.forEach((name) => newPairs.push(name + "=" + cookies.set[name]));
+  if (newPairs.length === 0) {
+    return removeHeaders(headers, [ "Cookie" ]);
+  }
+  return setHeaders(headers, {Cookie : newPairs.join("; ")});
+}
+
+/**
+ * Drops Set-Cookie response headers, and rewrites their attributes.
+ * @param  {Array.<Object>} headers in webRequest details.*headers format.
+ * Each Set-Cookie is a header of its own, or several are separated by
+ * newlines.
+ * @param  {Object} cookies
+ * @param  {Array.<String>} cookies.remove names of cookies not to set
+ * @param  {Object} cookies.attributes by cookie name (or '*' for all), the
+ * attributes to rewrite: a string value sets 'Name=value', true sets a flag
+ * like 'Secure', and false or null removes the attribute.
+ * @return {Array.<Object>} the altered headers
+ */
+function tamperSetCookies(headers, cookies) {
+  if (cookies.remove.length === 0 &&
+      Object.keys(cookies.attributes).length === 0) {
+    return headers;
+  }
+  var newHeaders = [];
+  headers.forEach((header) => {
+    if (header.name.toLowerCase() !== "set-cookie") {
+      newHeaders.push(header);
+      return;
+    }
+    header.value.split("\n").forEach((setCookie) => {
+      var parts = setCookie.split(";").map((part) => part.trim());
+      var name = parts[0].split("=")[0];
+      if (cookies.remove.includes(name)) {
+        return;
+      }
+      var attributes = Object.assign({}, cookies.attributes["*"],
+                                     cookies.attributes[name]);
+      for (var attribute in attributes) {
+        var value = attributes[attribute];
+        var index = parts.findIndex(
+            (part, i) => i > 0 && part.split("=")[0].toLowerCase() ===
+                                      attribute.toLowerCase());
+        var newPart = (value === true) ? attribute : attribute + "=" + value;
+        if (value === null || value === false) {
+          if (index !== -1) {
+            parts.splice(index, 1);
+          }
+        } else if (index === -1) {
+          parts.push(newPart);
+        } else {
+          parts[index] = newPart;
+        }
+      }
+      newHeaders.push({name : header.name, value : parts.join("; ")});
+    });
+  });
+  return newHeaders;
+}
+
+/**
+ * Layers a set of names to set and to remove on top of another, see
+ * TamperStore#_mergeTamperSpecs.
+ * @param  {Object} toSet a key-value map, modified in place
+ * @param  {Array.<String>} toRemove names, modified in place
+ * @param  {Object} layerSet a key-value map to set on top
+ * @param  {Array.<String>} layerRemove names to remove on top
+ * @param  {Boolean} ignoreCase whether names are case-insensitive
+ */
+function layerNames(toSet, toRemove, layerSet, layerRemove, ignoreCase) {
+  var same = (a, b) => ignoreCase ? a.toLowerCase() === b.toLowerCase()
+                                  : a === b;
+  // removals by value pattern (see removeHeaders) are objects.
+  var nameOf = (entry) => (typeof entry === "string") ? entry : entry.name;
+  for (var name in layerSet) {
+    for (var setName in toSet) {
+      if (same(setName, name)) {
+        delete toSet[setName];
+      }
+    }
+    for (var i = toRemove.length - 1; i >= 0; i--) {
+      if (same(nameOf(toRemove[i]), name)) {
+        toRemove.splice(i, 1);
+      }
+    }
+    toSet[name] = layerSet[name];
+  }
+  layerRemove.forEach((entry) => {
+    if (typeof entry !== "string") {
+      // only removes some occurrences, so settings stand.
+      toRemove.push(entry);
+      return;
+    }
+    for (var setName in toSet) {
+      if (same(setName, entry)) {
+        delete toSet[setName];
+      }
+    }
+    if (!toRemove.some((removeEntry) => removeEntry === entry ||
+                                        (typeof removeEntry === "string" &&
+                                         same(removeEntry, entry)))) {
+      toRemove.push(entry);
+    }
+  });
+}
+
+/**
+ * Like layerNames, for headers, where HeaderValues in the 'add' mode add to
+ * those set below them rather than replacing them.
+ * @param  {Object} toSet a key-value map of header names to HeaderValue
+ * @param  {Array.<String|Object>} toRemove
+ * @param  {Object} layerSet
+ * @param  {Array.<String|Object>} layerRemove
+ */
+function layerHeaders(toSet, toRemove, layerSet, layerRemove) {
+  var combined = {};
+  for (var name in layerSet) {
+    var headerValue = normalizeHeaderValue(layerSet[name]);
+    combined[name] = layerSet[name];
+    if (headerValue.mode !== "add") {
       continue;
     }
-    headers.splice(headerInd, 1);
-    headerInd--;
+    var below = getKeyCaseInsensitive(toSet, name);
+    if (below !== null) {
+      below = normalizeHeaderValue(below);
+      combined[name] = {
+        value : below.values.concat(headerValue.values),
+        mode : below.mode
+      };
+    } else if (toRemove.some((entry) => typeof entry === "string" &&
+                                        entry.toLowerCase() ===
+                                            name.toLowerCase())) {
+      // nothing is left to add to.
+      combined[name] = {value : headerValue.values, mode : "replace"};
+    }
   }
-  return headers;
+  layerNames(toSet, toRemove, combined, layerRemove, true);
+}
+
+/**
+ * @param  {Array.<Object>} headers in webRequest details.*headers format
+ * @param  {Array.<String|Object>} toRemove header names, or objects with
+ * 'name' and 'value', a RegexSpec, to remove only the occurrences whose value
+ * matches
+ * @return {Array.<Object>} the altered headers
+ */
+function removeHeaders(headers, toRemove) {
+  var matchers = toRemove.map((entry) => {
+    if (typeof entry === "string") {
+      entry = {name : entry};
+    }
+    var regex = null;
+    if (entry.value) {
+      // without the global and sticky flags, with which test() goes on from
+      // where it last matched, in the next header's value.
+      var flags = (entry.value[1] || "").replace(/[gy]/g, "");
+      regex = makeRegex([ entry.value[0], flags ]);
+    }
+    return {name : entry.name.toLowerCase(), regex : regex};
+  });
+  var matches = (matcher, header) =>
+      matcher.name === header.name.toLowerCase() &&
+      (matcher.regex === null || matcher.regex.test(header.value));
+  return headers.filter(
+      (header) => !matchers.some((matcher) => matches(matcher, header)));
 }
@@ -0,0 +1,72 @@
+/**
+ * TamperApi
+ *
+ * An extension to provide page-side javascript the ability to modify requests
+ * and responses, in particular the headers.
+ *
+ */
+
+/**
+ * Compatibility layer, loaded before the background, content and popup
+ * scripts. They use the browser.* api of WebExtensions, whose functions
+ * return promises. Firefox has it, Chrome only has chrome.*, whose functions
+ * take a callback and report errors as chrome.runtime.lastError, so there
+ * browser is a wrapper of chrome.
+ */
+
+/**
+ * The functions of chrome.* which return their result rather than take a
+ * callback.
+ * @type {Array.<String>}
+ */
+var syncChromeFunctions = [ "connect", "getManifest", "getURL" ];
+
+/**
+ * Wraps a namespace of chrome.*, such that its functions return a promise,
+ * which is rejected with chrome.runtime.lastError. Events and constants are
+ * left as they are.
+ * @param  {Object} namespace e.g. chrome or chrome.storage
+ * @return {Proxy}
+ */
+function wrapChromeApi(namespace) {
+  return new Proxy(namespace, {
+    get : function(target, name) {
+      var value = target[name];
+      if (typeof value === "function") {
+        return syncChromeFunctions.includes(name)
+                   ? value.bind(target)
+                   : promisifyChromeFunction(target, value);
+      }
+      if (value !== null && typeof value === "object" &&
+          typeof value.addListener !== "function") {
+        return wrapChromeApi(value);
+      }
+      return value;
+    }
+  });
+}
+
+/**
+ * @param  {Object} target the namespace of the function
+ * @param  {Function} fn a function of chrome.* taking a callback last
+ * @return {Function} taking the same arguments but the callback, and returning
+ * a promise of what the callback is given.
+ */
+function promisifyChromeFunction(target, fn) {
+  return function(...args) {
+    return new Promise((resolve, reject) => {
+      fn.call(target, ...args, (result) => {
+        var error = chrome.runtime.lastError;
+        if (error) {
+          reject(new Error(error.message));
+        } else {
+          resolve(result);
+        }
+      });
+    });
+  };
+}
+
+if (typeof browser === "undefined") {
+  self.browser = wrapChromeApi(chrome);
+}
@@ -16,7 +16,7 @@ if (document.readyState === "complete" ||
 // load page.js
 (function() {
   var s = document.createElement('script');
-  s.src = chrome.extension.getURL('page.js');
+  s.src = browser.runtime.getURL('page.js');
   var under = (document.head || document.documentElement);
   under.insertBefore(s, under.firstChild);
   s.onload = function() { s.remove(); };
@@ -28,23 +28,129 @@ if (document.readyState === "complete" ||
 document.addEventListener('TamperApiMsg', function(e) {
   var evtId = e.detail.id;
   var responseHandler = function(resp) {
-    var evt =
-        new CustomEvent('TamperApiResp', {detail : {id : evtId, resp : resp}});
-    document.dispatchEvent(evt);
+    if (typeof resp === "undefined") {
+      // the background did not respond.
+      resp = {success : false, code : "NO_RESPONSE", msg : "no response."};
+    }
+    dispatchToPage('TamperApiResp', {id : evtId, resp : resp});
   };
   var cmd = e.detail.command;
   if (cmd === "print") {
     console.log("TamperApi: content script: Print: ", e.detail.options);
     responseHandler({success : true, msg : "printed provided text."});
+  } else if (cmd === "RegisterCb" || cmd === "UnregisterCb") {
+    if (cmd === "RegisterCb") {
+      registering[evtId] = e.detail.options;
+    } else {
+      delete registrations[e.detail.options.id];
+    }
+    try {
+      getEventPort().postMessage(
+          {id : evtId, command : cmd, options : e.detail.options});
+    } catch (err) {
+      responseHandler(
+          {success : false, code : "NO_RESPONSE", msg : err.message});
+    }
   } else {
     var msg = {
       command : cmd,
       options : e.detail.options,
     };
-    chrome.runtime.sendMessage(msg, responseHandler);
+    // rejected if e.g. the extension was reloaded, invalidating this content
+    // script.
+    browser.runtime.sendMessage(msg).then(responseHandler, function(err) {
+      responseHandler(
+          {success : false, code : "NO_RESPONSE", msg : err.message});
+    });
   }
 });
 
+var eventPort = null;
+// the options of the callbacks registered over the port, by callback id, and
+// of those being registered, by event id.
+var registrations = {};
+var registering = {};
+
+/**
+ * Connects to the background for the registration of page-side callbacks, if
+ * not connected yet. Responses over the port are dispatched as TamperApiResp
+ * events, and request events as TamperApiEvent events.
+ * @return {Port}
+ */
+function getEventPort() {
+  if (eventPort !== null) {
+    return eventPort;
+  }
+  eventPort = browser.runtime.connect({name : "TamperApiEvents"});
+  eventPort.onMessage.addListener(function(msg) {
+    if (msg.type === "resp" && msg.id === null) {
+      // a callback registered again, see registerAgain.
+      return;
+    }
+    if (msg.type === "resp") {
+      var options = registering[msg.id];
+      delete registering[msg.id];
+      if (options && msg.resp.success) {
+        registrations[options.id] = options;
+      }
+      dispatchToPage('TamperApiResp', {id : msg.id, resp : msg.resp});
+    } else {
+      dispatchToPage('TamperApiEvent', {id : msg.id, event : msg.event});
+    }
+  });
+  eventPort.onDisconnect.addListener(function() {
+    eventPort = null;
+    registerAgain();
+  });
+  return eventPort;
+}
+
+/**
+ * Registers the callbacks again over a new port, once the port they were
+ * registered over is disconnected. The background forgets them when e.g. its
+ * service worker is stopped.
+ */
+function registerAgain() {
+  var ids = Object.keys(registrations);
+  if (ids.length === 0) {
+    return;
+  }
+  try {
+    var port = getEventPort();
+    ids.forEach(function(id) {
+      port.postMessage(
+          {id : null, command : "RegisterCb", options : registrations[id]});
+    });
+  } catch (err) {
+    // the extension was reloaded, which leaves this content script behind.
+    registrations = {};
+  }
+}
+
+/**
+ * Messages from the background.
+ */
+browser.runtime.onMessage.addListener(function(msg) {
+  if (msg.command === "MockServed") {
+    dispatchToPage('TamperApiMockServed', msg.options);
+  } else if (msg.command === "PageSideTamper") {
+    dispatchToPage('TamperApiPageSide', msg.options);
+  }
+});
+
+/**
+ * Dispatches an event on the document for page.js. In Firefox the page can't
+ * read objects of the content script, so the detail is cloned into the page.
+ * @param  {String} type
+ * @param  {Object} detail
+ */
+function dispatchToPage(type, detail) {
+  if (typeof cloneInto === "function") {
+    detail = cloneInto(detail, document.defaultView);
+  }
+  document.dispatchEvent(new CustomEvent(type, {detail : detail}));
+}
+
 function load() {
   // nothing for now
 }
@@ -10,15 +10,152 @@
  * Details of how a request and/or it's response should be modified.
  * @typedef {Object} TamperSpec
  * @property {Object} headers A key-value map of header names and values to set
- * on the request. If a value is null, it means to remove that header.
+ * on the request, replacing any occurrences of the header. If a value is null,
+ * it means to remove that header. A value may also be an array, to send the
+ * header once for each of its values, or an object with properties 'value'
+ * (a string or an array) and 'mode': 'replace' (the default) or 'add', to
+ * keep the existing occurrences of the header and add to them.
  * @property {Object} remove An array of header names to remove from the
- * request. Overrides any values in the 'headers' property.
+ * request. Overrides any values in the 'headers' property. An entry may also
+ * be an object with properties 'name' and 'value', a RegExp (or RegexSpec),
+ * to remove only the occurrences of the header whose value matches.
+ * @property {Array.<HeaderOp>} [headerOps] Operations on request header
+ * values, applied in order after 'headers' and 'remove'.
+ * @property {Object} [query] Alters the query string of the request url.
+ * @property {Object} [query.set] A key-value map of query parameters to set. If
+ * a value is null, it means to remove that parameter.
+ * @property {Array.<String>} [query.remove] Names of query parameters to
+ * remove.
+ * @property {Object} [cookies] Alters the cookies sent with the request,
+ * keeping the others the browser would send.
+ * @property {Object} [cookies.set] A key-value map of cookies to set. If a
+ * value is null, it means to remove that cookie.
+ * @property {Array.<String>} [cookies.remove] Names of cookies to remove.
+ * @property {String} [method] The HTTP method to send the request with
+ * instead.
+ * @property {Object} [body] Alters the request body. The properties are
+ * applied in the order below.
+ * @property {*} [body.replace] A new body for the request.
+ * @property {Object} [body.json] A JSON merge patch (RFC 7396) to apply to the
+ * body, which must be JSON (or empty).
+ * @property {Object} [body.form] Alters a form body (FormData,
+ * URLSearchParams, or a urlencoded string). Has properties 'set' and 'remove'
+ * like 'query'.
+ * @property {Boolean|Object} [cors] Makes the response readable cross-origin,
+ * by setting the CORS response headers (and answering preflight requests).
+ * true for the defaults below.
+ * @property {Array.<String>} [cors.origins] Only these requesting origins are
+ * allowed. All are by default.
+ * @property {Boolean} [cors.credentials=true] Allow credentials (cookies),
+ * echoing the requesting origin instead of '*'.
+ * @property {Array.<String>} [cors.methods] Methods allowed by preflights.
+ * That asked for by default.
+ * @property {Array.<String>} [cors.headers] Request headers allowed by
+ * preflights. Those asked for by default.
+ * @property {Array.<String>} [cors.exposeHeaders] Response headers the page
+ * may read. All by default.
+ * @property {Number} [cors.maxAge] How long, in seconds, preflights may be
+ * cached.
+ * @property {String|Object} [redirect] Sends the request elsewhere. A string
+ * is short for {url : string}. The rest of the TamperSpec applies to the
+ * request where it is sent.
+ * @property {String} [redirect.url] The url to send the request to, or what to
+ * replace the matches of 'regex' with ($1 etc. referring to its groups).
+ * @property {RegExp|RegexSpec} [redirect.regex] Matched against the request
+ * url. If it doesn't match, the request is not redirected.
+ * @property {String} [redirect.scheme] e.g. 'http'.
+ * @property {String} [redirect.host] The hostname to send the request to.
+ * @property {Number|String} [redirect.port] The port to send the request to.
+ * '' for the default port of the scheme.
+ * @property {Object} [redirect.pathPrefix] Replaces the beginning of the path,
+ * if it is 'from', with 'to'.
+ * @property {String|Object} [action] Blocks the request, makes it fail or
+ * holds it back. 'block' is short for {block : true}.
+ * @property {Boolean} [action.block] Cancels the request.
+ * @property {Number} [action.delay] How long, in milliseconds, to hold back
+ * the request before making it. Only applies to fetch() and (asynchronous)
+ * XMLHttpRequest; other requests are made at once.
+ * @property {String} [action.fail] The error to make the request fail with,
+ * e.g. 'net::ERR_CONNECTION_RESET'. 'net::ERR_FAILED' by default, if only
+ * 'failRate' is given.
+ * @property {Number} [action.failRate=1] The probability, from 0 to 1, of the
+ * request failing with 'fail'.
  * @property {Object} response May contain properties such as 'headers' or
  * 'remove'. They are interpreted the same way but instead apply to the
  * server response.
+ * @property {Array.<HeaderOp>} [response.headerOps] Operations on response
+ * header values, as for 'headerOps'. Templates refer to response headers.
+ * @property {Object} [response.cookies] Alters the cookies the response sets.
+ * @property {Array.<String>} [response.cookies.remove] Names of cookies not to
+ * set.
+ * @property {Object} [response.cookies.attributes] By cookie name (or '*' for
+ * all of them), a key-value map of attributes to rewrite, e.g. 'SameSite',
+ * 'Domain' or 'Secure'. true sets a flag attribute, and false or null removes
+ * the attribute.
+ * @property {Object} [response.body] Alters the response body (in Firefox
+ * only), read as UTF-8 text. The properties are applied in the order below.
+ * @property {String} [response.body.replace] A new body for the response.
+ * @property {Object} [response.body.json] A JSON merge patch (RFC 7396) to
+ * apply to the body, which must be JSON (or empty).
+ * @property {Object} [response.mock] A response to serve instead of making the
+ * request.
+ * @property {Number} [response.mock.status=200] from 200 to 599
+ * @property {String} [response.mock.statusText='']
+ * @property {Object} [response.mock.headers] A key-value map of header names
+ * and values.
+ * @property {String} [response.mock.body] The body, as a string.
+ * @property {*} [response.mock.json] The body, as a value to be serialized to
+ * JSON.
+ * @property {String} [response.mock.base64] The body, as base64 encoded
+ * binary.
  * @property {Object} [opts] A dictionary of various options.
  * @property {Boolean} [opts.once=false] if true, the tamper spec is removed
- * after matching once.
+ * after matching once. Short for opts.times of 1. That of a tamper url then
+ * only applies to the request of the tamper url, and is removed once it is
+ * done, even if it failed.
+ * @property {Number} [opts.times] the number of requests the tamper spec is
+ * applied to before it is removed. A request counts once its response
+ * arrives, however often it was redirected.
+ * @property {Number} [opts.ttl] how long the tamper spec lasts, in
+ * milliseconds from when it is stored: when the tamper url is requested, or
+ * the entry added (or updated with a new tamper spec).
+ * @property {Number} [opts.until] when the tamper spec expires, a timestamp
+ * as of Date.now(). With opts.ttl, whichever comes first.
+ * @property {Boolean|String} [opts.followRedirects=true] whether the tamper
+ * spec also applies to where the request is redirected (by any 3xx status),
+ * and on through the redirect chain. 'same-origin' to follow only redirects
+ * which stay on the same origin. Where it doesn't follow, no tamper spec
+ * applies to the rest of the request, not even one for where it goes.
+ *
+ * 'method', 'body' and 'action.delay' are only applied to requests the page
+ * makes with fetch() or XMLHttpRequest (asynchronous only), as the browser
+ * does not allow the extension to change them otherwise. The same goes for
+ * the status and headers of 'response.mock'; other requests (e.g. by img
+ * tags) are only given the mocked body. Whenever a mock is served the
+ * 'TamperApiMockServed' event is dispatched on the document, with the
+ * properties 'url', 'status' and 'served' ('page' or 'redirect') in its
+ * 'detail'.
+ *
+ * A request made to fail is cancelled, which to the page looks like any
+ * network error. The 'fail' error is what callbacks of 'error' events are
+ * given.
+ */
+
+/**
+ * An operation on the value of a header.
+ * @typedef {Object} HeaderOp
+ * @property {String} op 'set', 'append', 'prepend' or 'replace'.
+ * @property {String} name The header name.
+ * @property {String} value The value to set, append or prepend, or to replace
+ * matches of 'regex' with ($1 etc. referring to its groups). May contain
+ * placeholders: {{url}}, {{url.host}} (or any other part of a URL object, like
+ * 'pathname' or 'search'), {{header.<name>}} for the value of a header of the
+ * same side (empty if absent), {{method}}, {{requestId}} and {{timestamp}}
+ * (in milliseconds).
+ * @property {RegExp|RegexSpec} [regex] What to replace, for 'replace'. If the
+ * header is absent, nothing happens.
+ * @property {String} [separator=', '] Put between the existing value and what
+ * is appended or prepended. If the header is absent, the value is just set.
  */
 
 // 'id' must be the same for a TamperApiMsg and the corresponding TamperApiResp
@@ -36,6 +173,16 @@
  * @property  {Object} resp The response from the background
  * @property  {Boolean} resp.success Was the command successful.
  * @property  {String} [resp.msg] A description of the action completed.
+ * @property  {String} [resp.code] Why the command failed:
+ * 'INVALID_PARAMS' if the options were not as the command requires,
+ * 'NOT_FOUND' if what it refers to (e.g. an id) does not exist,
+ * 'ACCESS_DENIED' if the page's origin was not allowed to use it (the first
+ * time an origin adds a tamper entry, saves or loads a rule set or registers
+ * a callback, the user is asked whether it may), 'TIMEOUT' if there was no
+ * response within TamperApi.timeout, 'NO_RESPONSE' if the extension could not
+ * be reached, or 'UNKNOWN_COMMAND', 'INVALID_MESSAGE' or 'INTERNAL_ERROR'.
+ * @property  {String} [resp.path] For 'INVALID_PARAMS', where in the options
+ * the problem is, e.g. 'options.tamper.headers.X-Foo'.
  */
 
 if (typeof window.TamperApi === "undefined" || window.TamperApi === null) {
@@ -47,6 +194,22 @@ if (typeof window.TamperApi === "undefined" || window.TamperApi === null) {
      * successful, to an object like {TamperApiResp}
      */
 
+    /**
+     * How long, in milliseconds, a command may take before its promise is
+     * rejected with the code 'TIMEOUT'. Waiting for the user to allow the
+     * page's origin counts, and the command may still take effect after.
+     * @type {Number}
+     */
+    timeout : 30000,
+
+    /**
+     * Whether failures which don't reach any promise of the page are printed
+     * to the console: 'error' to print them, e.g. an interceptor throwing, or
+     * 'none'.
+     * @type {String}
+     */
+    logLevel : 'none',
+
     /**
      *
      */
@@ -62,8 +225,55 @@ if (typeof window.TamperApi === "undefined" || window.TamperApi === null) {
      * match against a request, it is modified according to 'tamper'.
      * @property {Array.<String>} urls Any one of these may match against the
      * full string of the request url.
+     * @property {Array.<String>} matches Match patterns, as in the manifests
+     * of extensions, e.g. '*://*.example.com/api/*' or '<all_urls>'. The
+     * path part is matched against the path and query of the request url.
+     * Only one of 'regexes', 'urls' and 'matches' is used: 'regexes' if
+     * given, else 'urls', else 'matches'.
+     * @property {Condition} [when] A further condition the request must meet.
+     * If given, 'regexes', 'urls' and 'matches' may be omitted.
+     * @property {Number} [priority=0] When several entries match a request,
+     * the one of highest priority is applied (the most recently added one if
+     * tied).
+     * @property {Boolean} [merge=false] If true, the entry is merged on top of
+     * the matching entries below it, down to and including the first which
+     * isn't set to merge. Headers and query parameters of higher entries
+     * override those of lower ones, removals accumulate, and method, body and
+     * response.mock override. Entries whose 'when' can't be decided before
+     * the request is sent are left out of a merge.
      * @property {TamperSpec} tamper a specification of how to modify a request
      * should it match.
+     * @property {String} [scope='tab'] which requests may be modified. 'tab'
+     * for those of the current tab, 'frame' for those of the current frame, or
+     * 'global' for every request the extension sees. 'tab' and 'frame' scoped
+     * entries are removed when the page navigates away or is closed.
+     * @property {Boolean} [enabled=true] Disabled entries are kept (e.g. for
+     * the popup to enable again), but not applied.
+     */
+
+    /**
+     * A condition on a request. Each property is a term, all of which must
+     * hold.
+     * @typedef  {Object} Condition
+     * @property {Array.<Condition>} [all] holds if all of the Conditions hold
+     * @property {Array.<Condition>} [any] holds if any of the Conditions hold
+     * @property {Condition} [not] holds if the Condition does not
+     * @property {Array.<String>} [methods] HTTP methods
+     * @property {Array.<String>} [types] resource types, e.g.
+     * 'xmlhttprequest', 'script', 'image', 'main_frame'
+     * @property {Array.<String>} [initiators] origins of the document which
+     * made the request, e.g. 'https://example.com'
+     * @property {Array.<RegExp|RegexSpec>} [tabUrls] matched against the url
+     * of the request's tab.
+     * @property {Object} [headers] request header names mapped to true (must
+     * be present), false (must be absent), or a RegExp the value must match.
+     * @property {Object} [responseHeaders] as 'headers', for the response.
+     * @property {Array.<Number>} [statusCodes] response status codes. An entry
+     * with this condition only tampers with the response.
+     *
+     * query, method, body and response.mock are only applied if the Condition
+     * can be decided before the request is made, i.e. it doesn't involve
+     * headers or the response.
      */
 
     /**
@@ -75,6 +285,8 @@ if (typeof window.TamperApi === "undefined" || window.TamperApi === null) {
     /**
      * Adds a tamper spec which will activate under various conditions.
      * {@link AddTamperCmd}
+     * The promise resolves to a TamperApiResp whose 'id' property identifies
+     * the new entry, e.g. for TamperApi.remove().
      * @param  {AddTamperCmd} options
      */
     addMetaTamper : function(options) {
@@ -82,22 +294,363 @@ if (typeof window.TamperApi === "undefined" || window.TamperApi === null) {
       return TamperApi._do('MetaTamper', options);
     },
 
+    /**
+     * Removes an entry created by TamperApi.add().
+     * @param  {Number|TamperApiResp} id the id of the entry, or the response
+     * which add() resolved to.
+     */
+    remove : function(id) {
+      if (id !== null && typeof id === 'object') {
+        id = id.id;
+      }
+      return TamperApi._do('RemoveMetaTamper', {id : id});
+    },
+
+    /**
+     * Lists the entries created by TamperApi.add() from this tab. The promise
+     * resolves to a TamperApiResp whose 'entries' property is an array of
+     * AddTamperCmd, each with an 'id' property. Regexes are given as
+     * RegexSpec. Entries which expire have 'expires', a timestamp, and those
+     * limited to a number of requests have 'remaining', how many are left
+     * (see TamperSpec.opts).
+     */
+    list : function() { return TamperApi._do('ListMetaTamper', {}); },
+
+    /**
+     * Removes all entries created by TamperApi.add() from this tab.
+     */
+    clear : function() { return TamperApi._do('ClearMetaTamper', {}); },
+
+    /**
+     * Stores a named set of rules, which are applied as if by TamperApi.add()
+     * (in place of any previous rules of that name), and again whenever the
+     * browser starts. Rule sets are always of the 'global' scope.
+     * @param  {String} name
+     * @param  {Array.<AddTamperCmd>} rules
+     */
+    saveRuleSet : function(name, rules) {
+      rules = rules.map((rule) => {
+        rule = Object.assign({}, rule);
+        if (rule.regexes) {
+          rule.regexes = rule.regexes.slice();
+        }
+        return TamperApi._serializeAddCmd(rule);
+      });
+      return TamperApi._do('SaveRuleSet', {name : name, rules : rules});
+    },
+
+    /**
+     * Retrieves a stored rule set. The promise resolves to a TamperApiResp
+     * whose 'rules' property is the array of AddTamperCmd, with regexes as
+     * RegexSpec.
+     * @param  {String} name
+     */
+    loadRuleSet : function(name) {
+      return TamperApi._do('LoadRuleSet', {name : name});
+    },
+
+    /**
+     * Removes a stored rule set, and its rules.
+     * @param  {String} name
+     */
+    deleteRuleSet : function(name) {
+      return TamperApi._do('DeleteRuleSet', {name : name});
+    },
+
+    /**
+     * Lists the stored rule sets. The promise resolves to a TamperApiResp
+     * whose 'names' property is an array of their names.
+     */
+    listRuleSets : function() { return TamperApi._do('ListRuleSets', {}); },
+
+    /**
+     * Which entries of the traffic log to get.
+     * @typedef  {Object} LogFilter
+     * @property {Array.<RegExp|RegexSpec>} [regexes] as for AddTamperCmd
+     * @property {Array.<String>} [urls] as for AddTamperCmd
+     * @property {Array.<String>} [matches] as for AddTamperCmd. If none of
+     * regexes, urls or matches are given, all urls are included.
+     * @property {Boolean} [tampered] only the requests which were (or if false,
+     * weren't) tampered with
+     * @property {Number} [since] only the requests started since this time, in
+     * milliseconds since the epoch
+     * @property {Number} [limit] only this many of the most recent requests
+     */
+
+    /**
+     * Gets the requests of this tab recorded by the extension, as far as this
+     * page may tamper with them. Each redirect is an entry of its own. The
+     * promise resolves to a TamperApiResp whose 'entries' property is an array
+     * of them, most recent last, with the request headers before tampering
+     * ('requestHeaders') and as sent ('sentRequestHeaders'), the status and
+     * response headers as received ('responseHeaders') and as tampered with
+     * ('tamperedResponseHeaders'), the 'timings', whether the request was
+     * 'tampered' with, the 'ruleIds' of the entries added with
+     * TamperApi.add() which applied, and any 'warnings' about what of them
+     * couldn't be, e.g. a redirect to no valid url.
+     * @param  {LogFilter} [filter]
+     */
+    getLog : function(filter = {}) {
+      return TamperApi._do('GetLog', TamperApi._serializeLogFilter(filter));
+    },
+
+    /**
+     * As TamperApi.getLog(), but the promise resolves to a TamperApiResp whose
+     * 'har' property is the entries in the HAR 1.2 format.
+     * @param  {LogFilter} [filter]
+     */
+    exportHar : function(filter = {}) {
+      return TamperApi._do('ExportHar', TamperApi._serializeLogFilter(filter));
+    },
+
+    /**
+     * Removes the requests of this tab from the traffic log.
+     */
+    clearLog : function() { return TamperApi._do('ClearLog', {}); },
+
+    /**
+     * Under Manifest V3, the extension tampers by declarativeNetRequest rules,
+     * which can't express everything a TamperSpec can. The promise resolves
+     * to a TamperApiResp whose 'declarative' property says whether rules are
+     * in use, and whose 'report' property lists what of the entries added by
+     * this tab, and the urls made by it with TamperApi.makeUrl(), they can't
+     * express. Each has the 'id' of the entry or the 'key' of the url, the
+     * 'path' to what can't be expressed, e.g. 'tamper.cookies', the
+     * 'degradation' ('skipped' if the entry isn't applied at all, 'ignored'
+     * if just that part isn't, 'approximated' if it is applied differently)
+     * and a 'msg' saying how. TamperApi.add() resolves to these for its
+     * entry, in the property 'degraded'.
+     */
+    getDnrReport : function() { return TamperApi._do('GetDnrReport', {}); },
+
+    /**
+     * The argument of callbacks registered with TamperApi.on().
+     * @typedef  {Object} RequestEvent
+     * @property {String} event 'request', 'response', 'redirect' or 'error'
+     * @property {String} requestId
+     * @property {String} url
+     * @property {String} method
+     * @property {Number} tabId
+     * @property {Number} frameId
+     * @property {String} resourceType e.g. 'xmlhttprequest', 'image'
+     * @property {Number} timeStamp
+     * @property {Array.<Object>} [requestHeaders] as sent, in the form
+     * [{name, value}]
+     * @property {Array.<Object>} [responseHeaders] in the same form
+     * @property {Number} [statusCode]
+     * @property {String} [statusLine]
+     * @property {String} [redirectUrl] for 'redirect' events
+     * @property {String} [error] for 'error' events, e.g.
+     * 'net::ERR_CONNECTION_REFUSED'
+     * @property {Boolean} tampered whether a TamperSpec was applied
+     */
+
+    /**
+     * Registers a callback for the events of requests.
+     * The promise resolves to a TamperApiResp whose 'id' property identifies
+     * the callback, e.g. for TamperApi.off().
+     * @param  {String} event 'request' (as the request is sent), 'response'
+     * (once it has completed), 'redirect' or 'error'
+     * @param  {Object} [filter] which requests to observe
+     * @param  {Array.<RegExp|RegexSpec>} [filter.regexes] as for AddTamperCmd
+     * @param  {Array.<String>} [filter.urls] as for AddTamperCmd
+     * @param  {Array.<String>} [filter.matches] as for AddTamperCmd. If none
+     * of regexes, urls or matches are given, all requests are observed.
+     * @param  {String} [filter.scope='tab'] as for AddTamperCmd
+     * @param  {Function} cb called with a RequestEvent
+     */
+    on : function(event, filter, cb) {
+      if (typeof filter === 'function') {
+        cb = filter;
+        filter = {};
+      }
+      var options = Object.assign({}, filter);
+      if (options.regexes) {
+        options.regexes = options.regexes.slice();
+      }
+      options = TamperApi._serializeAddCmd(options);
+      options.event = event;
+      options.id = TamperApi._cbIdAutoInc++;
+      TamperApi._callbacks[options.id] = cb;
+      return TamperApi._do('RegisterCb', options)
+          .then(
+              (resp) => {
+                resp.id = options.id;
+                return resp;
+              },
+              (resp) => {
+                delete TamperApi._callbacks[options.id];
+                throw resp;
+              });
+    },
+
+    /**
+     * Removes a callback registered with TamperApi.on().
+     * @param  {Number|TamperApiResp} id the id of the callback, or the
+     * response which on() resolved to.
+     */
+    off : function(id) {
+      if (id !== null && typeof id === 'object') {
+        id = id.id;
+      }
+      delete TamperApi._callbacks[id];
+      return TamperApi._do('UnregisterCb', {id : id});
+    },
+
+    /**
+     * The argument of interceptors registered with TamperApi.intercept().
+     * @typedef  {Object} InterceptedRequest
+     * @property {String} url the absolute request url
+     * @property {String} method
+     * @property {Object} headers A key-value map of the headers set by the
+     * page (not those the browser adds).
+     * @property {*} [body] the body as passed to fetch() or
+     * XMLHttpRequest#send. Undefined for a fetch() of a Request object.
+     * @property {String} initiator 'fetch' or 'xmlhttprequest'
+     */
+
+    /**
+     * Registers a function deciding how to tamper with each request the page
+     * makes with fetch() or (asynchronous) XMLHttpRequest. Interceptors are
+     * consulted most recently registered first, until one returns a
+     * TamperSpec, which is then applied instead of any added with
+     * TamperApi.add(), to that request only (its opts.times is ignored).
+     *
+     * Other requests, e.g. by img or script tags, never reach interceptors.
+     * For those, compute the TamperSpec beforehand and use TamperApi.makeUrl()
+     * or TamperApi.add().
+     *
+     * The promise resolves to a TamperApiResp whose 'id' property identifies
+     * the interceptor, e.g. for TamperApi.removeInterceptor().
+     * @param  {Object} [filter] which requests to intercept
+     * @param  {Array.<RegExp|RegexSpec>} [filter.regexes] as for AddTamperCmd
+     * @param  {Array.<String>} [filter.urls] as for AddTamperCmd. If neither
+     * regexes nor urls are given, all requests are intercepted.
+     * @param  {Function} fn called with an InterceptedRequest, returning a
+     * TamperSpec, null, or a promise resolving to either.
+     */
+    intercept : function(filter, fn) {
+      if (typeof filter === 'function') {
+        fn = filter;
+        filter = {};
+      }
+      var interceptor = {
+        id : TamperApi._interceptorIdAutoInc++,
+        urls : filter.urls,
+        fn : fn,
+      };
+      if (filter.regexes) {
+        interceptor.regexes = filter.regexes.map(TamperApi._serializeRegex);
+      }
+      TamperApi._interceptors.unshift(interceptor);
+      TamperApi._pageSide = true;
+      return Promise.resolve({
+        success : true,
+        msg : "interceptor registered successfully.",
+        id : interceptor.id
+      });
+    },
+
+    /**
+     * Removes an interceptor registered with TamperApi.intercept().
+     * @param  {Number|TamperApiResp} id the id of the interceptor, or the
+     * response which intercept() resolved to.
+     */
+    removeInterceptor : function(id) {
+      if (id !== null && typeof id === 'object') {
+        id = id.id;
+      }
+      var index = TamperApi._interceptors.findIndex(
+          (interceptor) => interceptor.id === id);
+      if (index === -1) {
+        return Promise.reject({
+          success : false,
+          code : "NOT_FOUND",
+          msg : "no interceptor with id " + id + " exists."
+        });
+      }
+      TamperApi._interceptors.splice(index, 1);
+      return Promise.resolve(
+          {success : true, msg : "interceptor removed successfully."});
+    },
+
     /**
      * Makes a new url which when accessed from in any way (whether ajax or
      * by setting elem.src, etc), will be as to retrieve the provided 'url'
      * with the TamperSpec applied. This allows the setting of request and
      * response headers.
      *
+     * The TamperSpec is embedded in the url, before its fragment, as
+     * '$TamperApi:1.<base64url encoded JSON>:$TamperApi', however long that
+     * makes the url. Only makeUrlAsync() registers it with the background
+     * instead, as it can wait for that.
+     *
      * @param  {String} url
      * @param  {TamperSpec} tamperSpec
+     * @param  {Object} [opts]
+     * @param  {String} [opts.mode='auto'] 'inline' or 'auto', which both
+     * embed the TamperSpec. 'token' throws, see makeUrlAsync().
      * @return {String} the finalized url
      */
-    makeUrl : function(url, tamperSpec) {
-      return url + "$TamperApi:" +
-             TamperApi.b64EncodeUnicode(JSON.stringify(tamperSpec)) +
-             ":$TamperApi";
+    makeUrl : function(url, tamperSpec, opts = {}) {
+      if (opts.mode === 'token') {
+        throw {
+          success : false,
+          code : 'INVALID_PARAMS',
+          msg : "mode 'token' is only supported by makeUrlAsync().",
+          path : 'opts.mode'
+        };
+      }
+      tamperSpec = TamperApi._serializeTamperSpec(tamperSpec);
+      var payload = '1.' + TamperApi.b64UrlEncode(new TextEncoder().encode(
+                               JSON.stringify(tamperSpec)));
+      return TamperApi
+          ._embedTamperSpec(url, payload, tamperSpec, {mode : 'inline'})
+          .url;
     },
 
+    /**
+     * As makeUrl(), but resolves once the url may be requested. Unless
+     * opts.compress is false, the TamperSpec is compressed as well (with raw
+     * deflate, '$TamperApi:2.<...>:$TamperApi') where the browser can and it
+     * makes the url shorter. If the url would still be longer than
+     * TamperApi.maxUrlLength, the TamperSpec is registered with the
+     * background instead, and only a token embedded. Such an url is only good
+     * for this tab, until the page navigates.
+     *
+     * @param  {String} url
+     * @param  {TamperSpec} tamperSpec
+     * @param  {Object} [opts]
+     * @param  {String} [opts.mode='auto'] 'inline' to always embed the
+     * TamperSpec, 'token' to always register it, or 'auto'.
+     * @param  {Boolean} [opts.compress=true]
+     * @return {Promise} resolves to the finalized url, rejects like the
+     * commands if the TamperSpec could not be registered.
+     */
+    makeUrlAsync : function(url, tamperSpec, opts = {}) {
+      tamperSpec = TamperApi._serializeTamperSpec(tamperSpec);
+      var json = new TextEncoder().encode(JSON.stringify(tamperSpec));
+      var payload = '1.' + TamperApi.b64UrlEncode(json);
+      var compressing = Promise.resolve(payload);
+      if (opts.compress !== false) {
+        compressing = TamperApi._deflate(json).then((deflated) => {
+          var compressed = '2.' + TamperApi.b64UrlEncode(deflated);
+          return (compressed.length < payload.length) ? compressed : payload;
+        }, () => payload);
+      }
+      return compressing.then((payload) => {
+        var made = TamperApi._embedTamperSpec(url, payload, tamperSpec, opts);
+        return made.registered.then(() => made.url);
+      });
+    },
+
+    /**
+     * The longest url makeUrlAsync() embeds a TamperSpec in, see
+     * makeUrlAsync().
+     * @type {Number}
+     */
+    maxUrlLength : 2048,
+
     // util funcs
 
     isString : function(foo) {
@@ -117,19 +670,78 @@ if (typeof window.TamperApi === "undefined" || window.TamperApi === null) {
           }));
     },
 
+    /**
+     * @param  {Uint8Array} bytes
+     * @return {String} the bytes, base64url encoded (RFC 4648) without
+     * padding.
+     */
+    b64UrlEncode : function(bytes) {
+      var binary = '';
+      for (var i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+      }
+      return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(
+          /=+$/, '');
+    },
+
+    /**
+     * @param  {String} url an url, possibly relative to the document
+     * @return {String} the absolute url
+     */
+    absoluteUrl : function(url) {
+      return new URL(String(url), document.baseURI).href;
+    },
+
+    /**
+     * Applies a JSON merge patch (RFC 7396).
+     * @param  {*} target is modified in place if it's an object
+     * @param  {*} patch
+     * @return {*} the patched value
+     */
+    mergePatch : function(target, patch) {
+      if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) {
+        return patch;
+      }
+      if (target === null || typeof target !== 'object' ||
+          Array.isArray(target)) {
+        target = {};
+      }
+      for (var name in patch) {
+        if (patch[name] === null) {
+          delete target[name];
+        } else {
+          target[name] = TamperApi.mergePatch(target[name], patch[name]);
+        }
+      }
+      return target;
+    },
+
     // end util funcs
 
     // private members:
 
     // command is obj
     _do : function(command, options) {
+      if (command !== 'GetTamper' && command !== 'HasPageSideTamper') {
+        TamperApi._pageSide = true;
+      }
       return new Promise((resolve, reject) => {
         var evtId = TamperApi._makeEvtId();
         var respListen;
+        var timer = setTimeout(() => {
+          document.removeEventListener('TamperApiResp', respListen);
+          reject({
+            success : false,
+            code : 'TIMEOUT',
+            msg : 'no response to ' + command + ' within ' +
+                      TamperApi.timeout + 'ms.'
+          });
+        }, TamperApi.timeout);
         respListen = (evt) => {
           if (evt.detail.id !== evtId) {
             return;
           }
+          clearTimeout(timer);
           if (evt.detail.resp.success) {
             resolve(evt.detail.resp);
           } else {
@@ -158,9 +770,148 @@ if (typeof window.TamperApi === "undefined" || window.TamperApi === null) {
           arr[ind] = TamperApi._serializeRegex(arr[ind]);
         });
       }
+      if (options.when) {
+        options.when = TamperApi._serializeCondition(options.when);
+      }
+      if (options.tamper) {
+        options.tamper = TamperApi._serializeTamperSpec(options.tamper);
+      }
       return options;
     },
 
+    /**
+     * Embeds a marker in an url, before its fragment, as the background
+     * expects (see parseTamperUrl there). Registers the TamperSpec with the
+     * background for a token instead, as opts.mode says.
+     * @param  {String} url
+     * @param  {String} payload the TamperSpec, encoded
+     * @param  {TamperSpec} tamperSpec serialized
+     * @param  {Object} opts see makeUrlAsync()
+     * @return {Object} with the new url as 'url', and a promise which
+     * resolves once the TamperSpec is registered, or right away if it is
+     * embedded, as 'registered'.
+     */
+    _embedTamperSpec : function(url, payload, tamperSpec, opts) {
+      // the page may fetch it, see _getTamper.
+      TamperApi._pageSide = true;
+      var embed = (payload) => {
+        var marker = '$TamperApi:' + payload + ':$TamperApi';
+        var hash = url.indexOf('#');
+        return (hash === -1) ? url + marker
+                             : url.slice(0, hash) + marker + url.slice(hash);
+      };
+      var mode = opts.mode || 'auto';
+      var embedded = embed(payload);
+      if (mode === 'inline' ||
+          (mode !== 'token' && embedded.length <= TamperApi.maxUrlLength)) {
+        return {url : embedded, registered : Promise.resolve()};
+      }
+      var bytes = new Uint8Array(9);
+      crypto.getRandomValues(bytes);
+      var token = TamperApi.b64UrlEncode(bytes);
+      return {
+        url : embed('t.' + token),
+        registered : TamperApi._do('RegisterTamperUrl',
+                                   {token : token, tamper : tamperSpec})
+      };
+    },
+
+    /**
+     * @param  {Uint8Array} bytes
+     * @return {Promise} resolves to the bytes compressed with raw deflate
+     * (RFC 1951), rejects where the browser can't.
+     */
+    _deflate : function(bytes) {
+      return Promise.resolve().then(() => {
+        var stream = new Blob([ bytes ]).stream().pipeThrough(
+            new CompressionStream('deflate-raw'));
+        return new Response(stream).arrayBuffer();
+      }).then((buffer) => new Uint8Array(buffer));
+    },
+
+    /**
+     * Prepares a TamperSpec for serialization.
+     * @param  {TamperSpec} tamperSpec
+     * @return {TamperSpec} a copy where needed, with the regexes of HeaderOps,
+     * of removals by value and of the redirect as RegexSpec
+     */
+    _serializeTamperSpec : function(tamperSpec) {
+      // prop is 'regex' of HeaderOps, or 'value' of removals.
+      var serializeAll = (arr, prop) => arr.map((obj) => {
+        if (obj === null || typeof obj !== 'object' ||
+            typeof obj[prop] === 'undefined') {
+          return obj;
+        }
+        var serialized = TamperApi._serializeRegex(obj[prop]);
+        return Object.assign({}, obj, {[prop] : serialized});
+      });
+      var serializeSide = (side) => {
+        side = Object.assign({}, side);
+        if (Array.isArray(side.headerOps)) {
+          side.headerOps = serializeAll(side.headerOps, 'regex');
+        }
+        if (Array.isArray(side.remove)) {
+          side.remove = serializeAll(side.remove, 'value');
+        }
+        return side;
+      };
+      tamperSpec = serializeSide(tamperSpec);
+      var redirect = tamperSpec.redirect;
+      if (redirect && typeof redirect.regex !== 'undefined') {
+        var regex = TamperApi._serializeRegex(redirect.regex);
+        tamperSpec.redirect = Object.assign({}, redirect, {regex : regex});
+      }
+      if (tamperSpec.response) {
+        tamperSpec.response = serializeSide(tamperSpec.response);
+      }
+      return tamperSpec;
+    },
+
+    /**
+     * @param  {LogFilter} filter
+     * @return {LogFilter} a copy, with regexes as RegexSpec
+     */
+    _serializeLogFilter : function(filter) {
+      filter = Object.assign({}, filter);
+      if (filter.regexes) {
+        filter.regexes = filter.regexes.map(TamperApi._serializeRegex);
+      }
+      return filter;
+    },
+
+    /**
+     * Prepares a Condition for serialization.
+     * @param  {Condition} condition
+     * @return {Condition} a copy, with regexes as RegexSpec
+     */
+    _serializeCondition : function(condition) {
+      condition = Object.assign({}, condition);
+      [ 'all', 'any' ].forEach((op) => {
+        if (condition[op]) {
+          condition[op] = condition[op].map(TamperApi._serializeCondition);
+        }
+      });
+      if (condition.not) {
+        condition.not = TamperApi._serializeCondition(condition.not);
+      }
+      if (condition.tabUrls) {
+        condition.tabUrls = condition.tabUrls.map(TamperApi._serializeRegex);
+      }
+      [ 'headers', 'responseHeaders' ].forEach((prop) => {
+        if (!condition[prop]) {
+          return;
+        }
+        var headers = Object.assign({}, condition[prop]);
+        for (var name in headers) {
+          if (typeof headers[name] !== 'boolean') {
+            headers[name] = TamperApi._serializeRegex(headers[name]);
+          }
+        }
+        condition[prop] = headers;
+      });
+      return condition;
+    },
+
     /**
      * Serializes the regex provided from a variety of forms.
      * @param  {String|RegExp|RegexSpec} reg a regex either as RegExp instance
@@ -177,10 +928,690 @@ if (typeof window.TamperApi === "undefined" || window.TamperApi === null) {
       return reg;
     },
 
+    /**
+     * Retrieves the TamperSpec which applies to a request from this page.
+     * @param  {InterceptedRequest} details
+     * @return {Promise} resolves to a TamperSpec or null. Never rejects.
+     */
+    _getTamper : function(details) {
+      return TamperApi
+          ._do('GetTamper', {
+            url : details.url,
+            method : details.method,
+            headers : details.headers
+          })
+          .then(
+              (resp) => {
+                TamperApi._declarative = resp.declarative;
+                return resp.tamper;
+              },
+              () => null);
+    },
+
+    // whether the background tampers by declarativeNetRequest rules, as the
+    // last response to GetTamper said. Undefined before.
+    _declarative : undefined,
+
+    // whether requests made with fetch() and XMLHttpRequest wait for
+    // _resolveTamper: once the page uses TamperApi, or the background says
+    // entries with parts applied page-side apply to it (see _watchPageSide).
+    // Other pages' requests, and those made before the background answers,
+    // are made as they would be without the extension.
+    _pageSide : false,
+
+    /**
+     * Asks the background whether entries with parts applied page-side apply
+     * to this page, and listens for it saying so later, see _pageSide.
+     * Requests don't wait for the answer.
+     */
+    _watchPageSide : function() {
+      var pageSide = () => { TamperApi._pageSide = true; };
+      document.addEventListener('TamperApiPageSide', pageSide);
+      TamperApi._do('HasPageSideTamper', {}).then((resp) => {
+        if (resp.pageSide) {
+          pageSide();
+        }
+      }, () => {});
+    },
+
+    _interceptorIdAutoInc : 0,
+
+    // interceptors registered with TamperApi.intercept(), most recent first.
+    _interceptors : [],
+
+    /**
+     * Decides the TamperSpec for a request made with fetch() or
+     * XMLHttpRequest, by the interceptors or else the background.
+     * @param  {InterceptedRequest} details
+     * @return {Promise} resolves to an object with properties 'tamperSpec', a
+     * TamperSpec or null, 'url', the url to make the request to instead, and
+     * 'fail', the error to fail a mocked request with instead, if it is to
+     * (see TamperApi._applyAction), once the request is due (see
+     * TamperSpec.action.delay). Never rejects.
+     */
+    _resolveTamper : function(details) {
+      var resolving = TamperApi._runInterceptors(details).then((tamperSpec) => {
+        if (tamperSpec === null) {
+          return TamperApi._getTamper(details).then(
+              (tamperSpec) => ({tamperSpec : tamperSpec, url : details.url}));
+        }
+        tamperSpec = TamperApi._normalizePageSpec(tamperSpec);
+        // what remains is left to the background, via a tamper url.
+        var urlSpec = Object.assign({}, tamperSpec);
+        urlSpec.response = Object.assign({}, tamperSpec.response);
+        delete urlSpec.method;
+        delete urlSpec.body;
+        delete urlSpec.response.mock;
+        if (Object.keys(urlSpec.response).length === 0) {
+          delete urlSpec.response;
+        }
+        var resolved = {tamperSpec : tamperSpec, url : details.url};
+        if (Object.keys(urlSpec).length === 0) {
+          return resolved;
+        }
+        // for this request only: the interceptor decides afresh for the next,
+        // and other requests to the url are left alone.
+        urlSpec.opts = Object.assign({}, urlSpec.opts, {once : true});
+        delete urlSpec.opts.times;
+        return TamperApi.makeUrlAsync(details.url, urlSpec).then((url) => {
+          resolved.url = url;
+          if (TamperApi._declarative === false) {
+            return resolved;
+          }
+          // rules must be in place for the tamper url before it's requested.
+          return TamperApi
+              ._getTamper({
+                url : resolved.url,
+                method : details.method,
+                headers : details.headers
+              })
+              .then(() => resolved);
+        }, () => resolved);
+      });
+      return resolving.then(
+          (resolved) => TamperApi._applyAction(resolved, details));
+    },
+
+    /**
+     * Applies what the page must of TamperSpec.action: the delay, and whether
+     * a request mocked page-side fails, as it never reaches the background.
+     * Such a request is failed page-side as well, without being made, by
+     * setting the error as 'fail' of 'resolved'.
+     * @param  {Object} resolved as by TamperApi._resolveTamper()
+     * @param  {InterceptedRequest} details
+     * @return {Promise} resolves to 'resolved' once the delay is over.
+     */
+    _applyAction : function(resolved, details) {
+      var tamperSpec = resolved.tamperSpec;
+      if (tamperSpec === null || !tamperSpec.action) {
+        return Promise.resolve(resolved);
+      }
+      var action = tamperSpec.action;
+      var failRate =
+          (typeof action.failRate === 'undefined') ? 1 : action.failRate;
+      var fails = action.block ||
+                  ((typeof action.fail !== 'undefined' ||
+                    typeof action.failRate !== 'undefined') &&
+                   Math.random() < failRate);
+      if (fails && TamperApi._mocksResponse(tamperSpec)) {
+        resolved.fail = action.block ? 'net::ERR_BLOCKED_BY_CLIENT'
+                                     : (action.fail || 'net::ERR_FAILED');
+      }
+      return new Promise((resolve) => {
+        setTimeout(() => resolve(resolved), action.delay || 0);
+      });
+    },
+
+    /**
+     * @param  {InterceptedRequest} details
+     * @return {Promise} resolves to the TamperSpec returned by the first
+     * matching interceptor to return one, or null. Never rejects.
+     */
+    _runInterceptors : function(details) {
+      return TamperApi._interceptors
+          .filter((interceptor) => TamperApi._matchesFilter(interceptor,
+                                                            details.url))
+          .reduce((promise, interceptor) => promise.then((tamperSpec) => {
+            if (tamperSpec !== null) {
+              return tamperSpec;
+            }
+            return Promise.resolve()
+                .then(() => interceptor.fn(Object.assign({}, details)))
+                .then((tamperSpec) => TamperApi._checkPageSpec(tamperSpec))
+                .catch((err) => {
+                  TamperApi._logError("TamperApi: interceptor failed: ", err);
+                  return null;
+                });
+          }), Promise.resolve(null));
+    },
+
+    /**
+     * @param  {Object} filter with 'regexes' (as RegexSpec) and / or 'urls'
+     * @param  {String} url
+     * @return {Boolean} whether the filter matches the url. An empty filter
+     * matches everything.
+     */
+    _matchesFilter : function(filter, url) {
+      if (!filter.regexes && !filter.urls) {
+        return true;
+      }
+      if (filter.regexes) {
+        return filter.regexes.some(
+            (reg) => url.match(new RegExp(reg[0], reg[1])) !== null);
+      }
+      return filter.urls.includes(url);
+    },
+
+    // the statuses a mocked response may have, those the Response constructor
+    // takes. The background checks the TamperSpecs it is given against the
+    // same range, see its mockStatusRange.
+    _mockStatusRange : {min : 200, max : 599},
+
+    /**
+     * Checks what of a TamperSpec returned by an interceptor the background
+     * doesn't, as it's applied page-side.
+     * @param  {TamperSpec} [tamperSpec]
+     * @return {TamperSpec|null} tamperSpec, null if none
+     * @throws {RangeError} if it mocks a response with a status out of
+     * _mockStatusRange
+     */
+    _checkPageSpec : function(tamperSpec) {
+      var mock = tamperSpec && tamperSpec.response && tamperSpec.response.mock;
+      var range = TamperApi._mockStatusRange;
+      if (mock && typeof mock.status !== 'undefined' &&
+          !(Number.isInteger(mock.status) && mock.status >= range.min &&
+            mock.status <= range.max)) {
+        throw new RangeError('response.mock.status must be an integer from ' +
+                             range.min + ' to ' + range.max + '.');
+      }
+      return tamperSpec || null;
+    },
+
+    /**
+     * Fills in the defaults of the parts of a TamperSpec applied page-side,
+     * as the background does for those it provides.
+     * @param  {TamperSpec} tamperSpec
+     * @return {TamperSpec} a normalized copy
+     */
+    _normalizePageSpec : function(tamperSpec) {
+      tamperSpec = Object.assign({}, tamperSpec);
+      tamperSpec.response = Object.assign({}, tamperSpec.response);
+      if (tamperSpec.response.mock) {
+        tamperSpec.response.mock = Object.assign(
+            {status : 200, statusText : '', headers : {}},
+            tamperSpec.response.mock);
+      }
+      if (typeof tamperSpec.method === 'string') {
+        tamperSpec.method = tamperSpec.method.toUpperCase();
+      }
+      if (tamperSpec.action === 'block') {
+        tamperSpec.action = {block : true};
+      }
+      return tamperSpec;
+    },
+
+    /**
+     * @param  {*} headers anything the Headers constructor accepts
+     * @return {Object} a key-value map of the headers
+     */
+    _headersToObject : function(headers) {
+      var obj = {};
+      new Headers(headers).forEach((value, name) => { obj[name] = value; });
+      return obj;
+    },
+
+    /**
+     * Makes a copy of a Request with another url.
+     * @param  {Request} request
+     * @param  {String} url
+     * @return {Promise} resolves to the new Request
+     */
+    _retargetRequest : function(request, url) {
+      var init = {
+        method : request.method,
+        headers : request.headers,
+        credentials : request.credentials,
+        cache : request.cache,
+        redirect : request.redirect,
+        referrer : request.referrer,
+        referrerPolicy : request.referrerPolicy,
+        integrity : request.integrity,
+        signal : request.signal,
+      };
+      if (request.mode !== 'navigate') {
+        init.mode = request.mode;
+      }
+      if (request.method === 'GET' || request.method === 'HEAD') {
+        return Promise.resolve(new Request(url, init));
+      }
+      return request.clone().blob().then((body) => {
+        init.body = body;
+        return new Request(url, init);
+      });
+    },
+
+    /**
+     * @param  {TamperSpec|null} tamperSpec
+     * @return {Boolean} whether the TamperSpec must be applied page-side.
+     */
+    _rewritesRequest : function(tamperSpec) {
+      return tamperSpec !== null &&
+             (typeof tamperSpec.method !== 'undefined' ||
+              typeof tamperSpec.body !== 'undefined');
+    },
+
+    /**
+     * Applies TamperSpec.body to a request body.
+     * @param  {*} body a body as accepted by fetch() or XMLHttpRequest#send
+     * @param  {Object} bodySpec TamperSpec.body
+     * @return {Promise} resolves to the new body
+     */
+    _tamperBody : function(body, bodySpec) {
+      var promise = Promise.resolve(body);
+      if (typeof bodySpec.replace !== 'undefined') {
+        promise = Promise.resolve(bodySpec.replace);
+      }
+      if (bodySpec.json) {
+        promise = promise.then((body) => TamperApi._bodyText(body))
+                      .then((text) => {
+                        var obj = text ? JSON.parse(text) : {};
+                        obj = TamperApi.mergePatch(obj, bodySpec.json);
+                        return JSON.stringify(obj);
+                      });
+      }
+      if (bodySpec.form) {
+        promise = promise.then(
+            (body) => TamperApi._tamperForm(body, bodySpec.form));
+      }
+      return promise;
+    },
+
+    /**
+     * @param  {*} body
+     * @return {Promise} resolves to the body as a string
+     */
+    _bodyText : function(body) {
+      if (typeof body === 'undefined' || body === null) {
+        return Promise.resolve('');
+      }
+      if (TamperApi.isString(body)) {
+        return Promise.resolve(String(body));
+      }
+      return new Response(body).text();
+    },
+
+    /**
+     * @param  {FormData|URLSearchParams|String} body
+     * @param  {Object} formSpec TamperSpec.body.form
+     * @return {FormData|URLSearchParams|String} a new body of the same type
+     */
+    _tamperForm : function(body, formSpec) {
+      var form;
+      if (body instanceof FormData) {
+        form = new FormData();
+        body.forEach((value, name) => form.append(name, value));
+      } else if (body instanceof URLSearchParams) {
+        form = new URLSearchParams(body.toString());
+      } else {
+        form = new URLSearchParams(TamperApi.isString(body) ? body : '');
+      }
+      (formSpec.remove || []).forEach((name) => form.delete(name));
+      for (var name in formSpec.set) {
+        if (formSpec.set[name] === null) {
+          form.delete(name);
+        } else {
+          form.set(name, formSpec.set[name]);
+        }
+      }
+      if (form instanceof FormData || body instanceof URLSearchParams) {
+        return form;
+      }
+      return form.toString();
+    },
+
+    /**
+     * @param  {TamperSpec|null} tamperSpec
+     * @return {Boolean} whether the TamperSpec mocks the response.
+     */
+    _mocksResponse : function(tamperSpec) {
+      return tamperSpec !== null && Boolean(tamperSpec.response) &&
+             Boolean(tamperSpec.response.mock);
+    },
+
+    /**
+     * @param  {Object} mock TamperSpec.response.mock
+     * @return {String|Uint8Array} the body of the mocked response
+     */
+    _mockBody : function(mock) {
+      if (typeof mock.base64 !== 'undefined') {
+        return Uint8Array.from(atob(mock.base64), (c) => c.charCodeAt(0));
+      }
+      if (typeof mock.json !== 'undefined') {
+        return JSON.stringify(mock.json);
+      }
+      return (typeof mock.body === 'undefined') ? '' : mock.body;
+    },
+
+    /**
+     * @param  {Object} mock TamperSpec.response.mock
+     * @return {Headers} the headers of the mocked response, including a
+     * content type befitting the body if none was given.
+     */
+    _mockHeaders : function(mock) {
+      var headers = new Headers(mock.headers);
+      if (!headers.has('content-type')) {
+        if (typeof mock.base64 !== 'undefined') {
+          headers.set('content-type', 'application/octet-stream');
+        } else if (typeof mock.json !== 'undefined') {
+          headers.set('content-type', 'application/json');
+        } else {
+          headers.set('content-type', 'text/plain;charset=utf-8');
+        }
+      }
+      return headers;
+    },
+
+    /**
+     * @param  {String} url
+     * @param  {Object} mock TamperSpec.response.mock
+     * @return {Response} the mocked response to a fetch()
+     */
+    _mockFetch : function(url, mock) {
+      // these may not have a body
+      var nullBody = [ 204, 205, 304 ].includes(mock.status);
+      var response = new Response(nullBody ? null : TamperApi._mockBody(mock), {
+        status : mock.status,
+        statusText : mock.statusText,
+        headers : TamperApi._mockHeaders(mock),
+      });
+      Object.defineProperty(response, 'url',
+                            {value : TamperApi.absoluteUrl(url)});
+      TamperApi._reportMock(url, mock);
+      return response;
+    },
+
+    /**
+     * Dispatches the 'TamperApiMockServed' event on the document.
+     * @param  {String} url
+     * @param  {Object} mock TamperSpec.response.mock
+     */
+    _reportMock : function(url, mock) {
+      document.dispatchEvent(new CustomEvent('TamperApiMockServed', {
+        detail : {
+          url : TamperApi.absoluteUrl(url),
+          status : mock.status,
+          served : 'page'
+        }
+      }));
+    },
+
+    // properties defined on a mocked xhr, which must go if it's reused.
+    _xhrMockProps : [
+      'status', 'statusText', 'responseURL', 'getResponseHeader',
+      'getAllResponseHeaders'
+    ],
+
+    /**
+     * Wraps window.fetch and XMLHttpRequest so that TamperSpec.method,
+     * TamperSpec.body and TamperSpec.response.mock are applied to the requests
+     * they make.
+     */
+    _installShims : function() {
+      var origFetch = window.fetch;
+      // applies TamperSpec.method and TamperSpec.body, then fetches.
+      var tamperFetch = function(input, init, tamperSpec) {
+        if (!TamperApi._rewritesRequest(tamperSpec)) {
+          return origFetch.call(window, input, init);
+        }
+        init = Object.assign({}, init);
+        if (tamperSpec.method) {
+          init.method = tamperSpec.method;
+        }
+        if (!tamperSpec.body) {
+          return origFetch.call(window, input, init);
+        }
+        var body = init.body;
+        if (typeof body === 'undefined' && input instanceof Request) {
+          body = input.clone().text();
+        }
+        return Promise.resolve(body)
+            .then((body) => TamperApi._tamperBody(body, tamperSpec.body))
+            .then((body) => {
+              init.body = body;
+              return origFetch.call(window, input, init);
+            });
+      };
+      if (origFetch) {
+        window.fetch = function(input, init) {
+          if (TamperApi._pageSide === false) {
+            return origFetch.call(window, input, init);
+          }
+          var isRequest = input instanceof Request;
+          var fetchInit = init || {};
+          var method = fetchInit.method || (isRequest ? input.method : 'GET');
+          var headers =
+              fetchInit.headers || (isRequest ? input.headers : undefined);
+          var details = {
+            url : TamperApi.absoluteUrl(isRequest ? input.url : input),
+            method : String(method).toUpperCase(),
+            headers : TamperApi._headersToObject(headers),
+            body : fetchInit.body,
+            initiator : 'fetch',
+          };
+          return TamperApi._resolveTamper(details).then((resolved) => {
+            var tamperSpec = resolved.tamperSpec;
+            if (resolved.fail) {
+              // as fetch() rejects on any network error.
+              throw new TypeError('Failed to fetch');
+            }
+            if (TamperApi._mocksResponse(tamperSpec)) {
+              return TamperApi._mockFetch(details.url,
+                                          tamperSpec.response.mock);
+            }
+            if (resolved.url === details.url) {
+              return tamperFetch(input, init, tamperSpec);
+            }
+            if (!isRequest) {
+              return tamperFetch(resolved.url, init, tamperSpec);
+            }
+            return TamperApi._retargetRequest(input, resolved.url)
+                .then((request) => tamperFetch(request, init, tamperSpec));
+          });
+        };
+      }
+
+      var xhrProto = XMLHttpRequest.prototype;
+      var origOpen = xhrProto.open;
+      var origSend = xhrProto.send;
+      var origSetRequestHeader = xhrProto.setRequestHeader;
+      var origAbort = xhrProto.abort;
+      // the arguments to open() and setRequestHeader() of each xhr, for if it
+      // must be re-opened with another method or url, and whether it was
+      // aborted since.
+      var xhrState = new WeakMap();
+      xhrProto.open = function() {
+        TamperApi._xhrMockProps.forEach((prop) => { delete this[prop]; });
+        xhrState.set(this, {openArgs : Array.from(arguments), headers : []});
+        return origOpen.apply(this, arguments);
+      };
+      xhrProto.setRequestHeader = function() {
+        var state = xhrState.get(this);
+        if (state) {
+          state.headers.push(Array.from(arguments));
+        }
+        return origSetRequestHeader.apply(this, arguments);
+      };
+      xhrProto.abort = function() {
+        var state = xhrState.get(this);
+        if (state) {
+          state.aborted = true;
+        }
+        return origAbort.apply(this, arguments);
+      };
+
+      // loads the mocked body from a blob: url, and overrides what can't be
+      // expressed that way.
+      var mockXhr = function(xhr, url, mock) {
+        var headers = TamperApi._mockHeaders(mock);
+        var blob = new Blob([ TamperApi._mockBody(mock) ],
+                            {type : headers.get('content-type')});
+        var blobUrl = URL.createObjectURL(blob);
+        var received = () => xhr.readyState >= XMLHttpRequest.HEADERS_RECEIVED;
+        origOpen.call(xhr, 'GET', blobUrl, true);
+        Object.defineProperties(xhr, {
+          status : {
+            configurable : true,
+            get : () => received() ? mock.status : 0,
+          },
+          statusText : {
+            configurable : true,
+            get : () => received() ? mock.statusText : '',
+          },
+          responseURL : {
+            configurable : true,
+            get : () => received() ? TamperApi.absoluteUrl(url) : '',
+          },
+          getResponseHeader : {
+            configurable : true,
+            value : (name) => received() ? headers.get(name) : null,
+          },
+          getAllResponseHeaders : {
+            configurable : true,
+            value : () => {
+              var all = '';
+              if (received()) {
+                headers.forEach((value, name) => {
+                  all += name + ': ' + value + '\r\n';
+                });
+              }
+              return all;
+            },
+          },
+        });
+        xhr.addEventListener('loadend', () => URL.revokeObjectURL(blobUrl));
+        origSend.call(xhr);
+        TamperApi._reportMock(url, mock);
+      };
+
+      // fails the request as a network error would, by loading a revoked
+      // blob: url: its 'error' event fires and its status is 0.
+      var failXhr = function(xhr) {
+        var blobUrl = URL.createObjectURL(new Blob([]));
+        URL.revokeObjectURL(blobUrl);
+        origOpen.call(xhr, 'GET', blobUrl, true);
+        origSend.call(xhr);
+      };
+
+      // applies TamperSpec.method, TamperSpec.body and the url to make the
+      // request to instead, resolving to the body
+      var tamperXhr = function(xhr, state, body, resolved) {
+        var tamperSpec = resolved.tamperSpec;
+        var rewrites = TamperApi._rewritesRequest(tamperSpec);
+        if (!rewrites && resolved.url === state.url) {
+          return Promise.resolve(body);
+        }
+        if ((rewrites && tamperSpec.method) || resolved.url !== state.url) {
+          var openArgs = state.openArgs.slice();
+          if (rewrites && tamperSpec.method) {
+            openArgs[0] = tamperSpec.method;
+          }
+          openArgs[1] = resolved.url;
+          origOpen.apply(xhr, openArgs);
+          state.headers.forEach(
+              (args) => origSetRequestHeader.apply(xhr, args));
+        }
+        if (!rewrites || !tamperSpec.body) {
+          return Promise.resolve(body);
+        }
+        return TamperApi._tamperBody(body, tamperSpec.body).catch((err) => {
+          TamperApi._logError("TamperApi: failed to tamper request body: ",
+                              err);
+          return body;
+        });
+      };
+
+      xhrProto.send = function(body) {
+        var xhr = this;
+        var state = xhrState.get(xhr);
+        // one not opened throws, as it would without the extension.
+        if (!state || state.openArgs[2] === false ||
+            TamperApi._pageSide === false ||
+            xhr.readyState !== XMLHttpRequest.OPENED) {
+          return origSend.apply(xhr, arguments);
+        }
+        if (state.sent) {
+          // as sending does already, until it is opened again.
+          throw new DOMException(
+              'Failed to execute \'send\' on \'XMLHttpRequest\': ' +
+                  'The object\'s state must be OPENED.',
+              'InvalidStateError');
+        }
+        state.sent = true;
+        state.url = TamperApi.absoluteUrl(state.openArgs[1]);
+        var details = {
+          url : state.url,
+          method : String(state.openArgs[0]).toUpperCase(),
+          headers : TamperApi._headersToObject(state.headers),
+          body : body,
+          initiator : 'xmlhttprequest',
+        };
+        // it may have been aborted, or opened again, meanwhile.
+        var pending = () => !state.aborted && xhrState.get(xhr) === state &&
+                            xhr.readyState === XMLHttpRequest.OPENED;
+        TamperApi._resolveTamper(details).then((resolved) => {
+          if (!pending()) {
+            return;
+          }
+          var tamperSpec = resolved.tamperSpec;
+          if (resolved.fail) {
+            failXhr(xhr);
+            return;
+          }
+          if (TamperApi._mocksResponse(tamperSpec)) {
+            mockXhr(xhr, state.url, tamperSpec.response.mock);
+            return;
+          }
+          return tamperXhr(xhr, state, body, resolved).then((body) => {
+            if (pending()) {
+              origSend.call(xhr, body);
+            }
+          });
+        });
+      };
+    },
+
+    _cbIdAutoInc : 0,
+
+    // callbacks registered with TamperApi.on(), by id.
+    _callbacks : {},
+
+    _listenForEvents : function() {
+      document.addEventListener('TamperApiEvent', function(evt) {
+        var cb = TamperApi._callbacks[evt.detail.id];
+        if (cb) {
+          cb(evt.detail.event);
+        }
+      });
+    },
+
     _evtIdAutoInc : 0,
 
+    /**
+     * Prints to the console as console.error(), if TamperApi.logLevel says
+     * so.
+     */
+    _logError : function() {
+      if (TamperApi.logLevel === 'error') {
+        console.error.apply(console, arguments);
+      }
+    },
+
     _makeEvtId : function() { return TamperApi._evtIdAutoInc++; },
 
     // end private members
   };
+
+  TamperApi._installShims();
+  TamperApi._watchPageSide();
+  TamperApi._listenForEvents();
 }
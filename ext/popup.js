@@ -0,0 +1,394 @@
+/**
+ * TamperApi popup
+ *
+ * Lists the tamper entries which apply to the current tab, and lets them be
+ * added, edited, enabled / disabled, removed, imported and exported without
+ * any page code. The traffic log of the tab can be exported as HAR.
+ *
+ */
+
+var TamperPopup = {
+  tabId : -1,
+
+  /**
+   * Sends a command to the background, as the content script does for the
+   * page.
+   * @param  {String} command
+   * @param  {Object} options
+   * @return {Promise} resolves to the response if successful, rejects with an
+   * Error otherwise.
+   */
+  _do : function(command, options) {
+    var msg = {command : command, options : options};
+    return browser.runtime.sendMessage(msg).then((resp) => {
+      if (typeof resp === "undefined") {
+        resp = {success : false, msg : "no response."};
+      }
+      if (!resp.success) {
+        throw new Error(resp.path ? resp.msg + " (at " + resp.path + ")"
+                                  : resp.msg);
+      }
+      return resp;
+    });
+  },
+
+  init : function() {
+    var query = {active : true, currentWindow : true};
+    browser.tabs.query(query).then((tabs) => {
+      if (tabs.length > 0) {
+        TamperPopup.tabId = tabs[0].id;
+      }
+      TamperPopup.refresh();
+    });
+    TamperPopup._byId('addRule').addEventListener('click', () => {
+      var template = TamperPopup._ruleTemplate();
+      TamperPopup.openEditor('Add rule', template, (rule) => {
+        rule.scope = TamperPopup._byId('addScope').value;
+        return TamperPopup._addRule(rule);
+      });
+    });
+    TamperPopup._byId('export').addEventListener('click',
+                                                 TamperPopup.exportRules);
+    TamperPopup._byId('exportHar').addEventListener('click',
+                                                    TamperPopup.exportHar);
+    TamperPopup._byId('import').addEventListener('click', () => {
+      TamperPopup.openEditor('Import rules (an array)', [], (rules) => {
+        if (!Array.isArray(rules)) {
+          throw new Error('expected an array of rules.');
+        }
+        return Promise.all(rules.map(TamperPopup._addRule));
+      });
+    });
+    TamperPopup._byId('addOrigin').addEventListener('click', () => {
+      var template = {origin : '', allowed : true, patterns : null};
+      TamperPopup.openEditor('Add origin', template,
+                             TamperPopup._setOriginAccess);
+    });
+    TamperPopup._byId('editorCancel')
+        .addEventListener('click', TamperPopup.closeEditor);
+    TamperPopup._byId('editorSave').addEventListener('click', () => {
+      Promise.resolve()
+          .then(() => TamperPopup._editorSave(
+                    JSON.parse(TamperPopup._byId('editorText').value)))
+          .then(() => {
+            TamperPopup.closeEditor();
+            TamperPopup.showStatus('done.');
+            return TamperPopup.refresh();
+          })
+          .catch((e) => TamperPopup.showStatus(e.message, true));
+    });
+  },
+
+  /**
+   * Lists the entries of the current tab anew.
+   */
+  refresh : function() {
+    return TamperPopup._do('ListTabTampers', {tabId : TamperPopup.tabId})
+        .then((resp) => {
+          TamperPopup._byId('tabUrl').textContent = resp.url || '';
+          TamperPopup._renderRules(resp.entries);
+          TamperPopup._renderDirect(resp.direct);
+          return TamperPopup._do('ListOrigins', {});
+        })
+        .then((resp) => TamperPopup._renderOrigins(resp.origins))
+        .catch((e) => TamperPopup.showStatus(e.message, true));
+  },
+
+  /**
+   * Fills the editor with the rules applying to the current tab, and offers
+   * them for download. Rules of rule sets are left out, as they are exported
+   * by TamperApi.listRuleSets().
+   */
+  exportRules : function() {
+    TamperPopup._do('ListTabTampers', {tabId : TamperPopup.tabId})
+        .then((resp) => {
+          var rules = resp.entries.filter((entry) => !entry.ruleSet)
+                          .map(TamperPopup._toRule);
+          var json = JSON.stringify(rules, null, 2);
+          var download = TamperPopup._byId('download');
+          download.href = URL.createObjectURL(
+              new Blob([ json ], {type : 'application/json'}));
+          download.classList.remove('hidden');
+          // nothing to save, the editor is just for copying.
+          TamperPopup.openEditor('Exported rules', rules, () => {});
+        })
+        .catch((e) => TamperPopup.showStatus(e.message, true));
+  },
+
+  /**
+   * Offers the traffic log of the current tab for download, as HAR.
+   */
+  exportHar : function() {
+    TamperPopup._do('ExportHar', {tabId : TamperPopup.tabId})
+        .then((resp) => {
+          var json = JSON.stringify(resp.har, null, 2);
+          var download = TamperPopup._byId('harDownload');
+          download.href = URL.createObjectURL(
+              new Blob([ json ], {type : 'application/json'}));
+          download.classList.remove('hidden');
+          TamperPopup.showStatus(resp.har.log.entries.length +
+                                 ' requests exported.');
+        })
+        .catch((e) => TamperPopup.showStatus(e.message, true));
+  },
+
+  /**
+   * @param  {String} title
+   * @param  {*} value shown as JSON
+   * @param  {Function} onSave called with the parsed JSON. May return a
+   * promise, and throw or reject to keep the editor open.
+   */
+  openEditor : function(title, value, onSave) {
+    TamperPopup._editorSave = onSave;
+    TamperPopup._byId('editorTitle').textContent = title;
+    TamperPopup._byId('editorText').value = JSON.stringify(value, null, 2);
+    TamperPopup._byId('editor').classList.remove('hidden');
+  },
+
+  closeEditor : function() {
+    TamperPopup._editorSave = null;
+    TamperPopup._byId('editor').classList.add('hidden');
+  },
+
+  showStatus : function(msg, isError = false) {
+    var status = TamperPopup._byId('status');
+    status.textContent = msg;
+    status.classList.toggle('error', isError);
+  },
+
+  /**
+   * @private
+   */
+  _editorSave : null,
+
+  /**
+   * @private
+   * @param  {Array.<Object>} entries as listed by the background, in order of
+   * precedence
+   */
+  _renderRules : function(entries) {
+    var list = TamperPopup._byId('rules');
+    list.textContent = '';
+    entries.forEach((entry) => {
+      var item = document.createElement('li');
+      item.classList.toggle('disabled', entry.enabled === false);
+      // rule sets are stored, edit them with TamperApi.saveRuleSet().
+      var readOnly = typeof entry.ruleSet !== 'undefined';
+
+      var enabled = document.createElement('input');
+      enabled.type = 'checkbox';
+      enabled.checked = entry.enabled !== false;
+      enabled.disabled = readOnly;
+      enabled.title = 'enabled';
+      enabled.addEventListener('change', () => {
+        TamperPopup._update(entry.id, {enabled : enabled.checked});
+      });
+      item.appendChild(enabled);
+
+      var summary = document.createElement('span');
+      summary.className = 'summary';
+      summary.textContent = TamperPopup._summarize(entry);
+      item.appendChild(summary);
+
+      item.appendChild(TamperPopup._button('edit', readOnly, () => {
+        var original = TamperPopup._toRule(entry);
+        TamperPopup.openEditor('Edit rule ' + entry.id, original, (rule) => {
+          var changes = Object.assign({}, rule);
+          // properties deleted in the editor are to be removed.
+          for (var key in original) {
+            if (!(key in changes)) {
+              changes[key] = null;
+            }
+          }
+          return TamperPopup._do('UpdateMetaTamper',
+                                 {id : entry.id, changes : changes});
+        });
+      }));
+      item.appendChild(TamperPopup._button('delete', readOnly, () => {
+        TamperPopup._do('RemoveMetaTamper', {id : entry.id})
+            .then(TamperPopup.refresh)
+            .catch((e) => TamperPopup.showStatus(e.message, true));
+      }));
+      list.appendChild(item);
+    });
+  },
+
+  /**
+   * @private
+   * @param  {Array.<TamperSpec>} direct TamperSpecs stored for urls of the
+   * tab, each having a 'key'
+   */
+  _renderDirect : function(direct) {
+    var list = TamperPopup._byId('direct');
+    list.textContent = '';
+    direct.forEach((tamperSpec) => {
+      var item = document.createElement('li');
+      var summary = document.createElement('span');
+      summary.className = 'summary url';
+      // keys are of the form tabId::frameId::url
+      summary.textContent = tamperSpec.key.split('::').slice(2).join('::');
+      summary.title = JSON.stringify(tamperSpec, null, 2);
+      item.appendChild(summary);
+      item.appendChild(TamperPopup._button('delete', false, () => {
+        TamperPopup._do('RemoveDirectTamper', {key : tamperSpec.key})
+            .then(TamperPopup.refresh)
+            .catch((e) => TamperPopup.showStatus(e.message, true));
+      }));
+      list.appendChild(item);
+    });
+  },
+
+  /**
+   * @private
+   * @param  {Object} origins as listed by the background, by origin
+   */
+  _renderOrigins : function(origins) {
+    var list = TamperPopup._byId('origins');
+    list.textContent = '';
+    Object.keys(origins).forEach((origin) => {
+      var access = origins[origin];
+      var item = document.createElement('li');
+      var summary = document.createElement('span');
+      summary.className = 'summary';
+      summary.textContent = origin + (access.allowed ? ' allowed' : ' denied');
+      if (access.allowed && access.patterns) {
+        summary.textContent +=
+            ' for ' + access.patterns.map(TamperPopup._regexText).join(' ');
+      }
+      item.appendChild(summary);
+      item.appendChild(TamperPopup._button('edit', false, () => {
+        var value = {
+          origin : origin,
+          allowed : access.allowed,
+          patterns : access.patterns || null
+        };
+        TamperPopup.openEditor('Edit origin', value,
+                               TamperPopup._setOriginAccess);
+      }));
+      item.appendChild(TamperPopup._button('forget', false, () => {
+        TamperPopup._do('RemoveOrigin', {origin : origin})
+            .then(TamperPopup.refresh)
+            .catch((e) => TamperPopup.showStatus(e.message, true));
+      }));
+      list.appendChild(item);
+    });
+  },
+
+  /**
+   * @private
+   * @param  {Object} access with properties 'origin', 'allowed' and
+   * 'patterns', as for the SetOriginAccess command
+   * @return {Promise}
+   */
+  _setOriginAccess : function(access) {
+    return TamperPopup._do('SetOriginAccess', access);
+  },
+
+  /**
+   * @private
+   * @param  {Object} entry as listed by the background
+   * @return {String} a one line description of the entry
+   */
+  _summarize : function(entry) {
+    var targets = (entry.urls || []).concat(
+        (entry.regexes || []).map(TamperPopup._regexText), entry.matches || []);
+    if (entry.when) {
+      targets.push('when ' + JSON.stringify(entry.when));
+    }
+    var summary = '#' + entry.id + ' [' + entry.scope;
+    if (entry.priority !== 0) {
+      summary += ', priority ' + entry.priority;
+    }
+    if (entry.merge) {
+      summary += ', merge';
+    }
+    if (typeof entry.ruleSet !== 'undefined') {
+      summary += ', rule set ' + entry.ruleSet;
+    }
+    if (typeof entry.origin !== 'undefined') {
+      summary += ', by ' + entry.origin;
+    }
+    return summary + '] ' + targets.join(' ');
+  },
+
+  /**
+   * @private
+   * @param  {RegexSpec} regexSpec
+   * @return {String} the regex in literal notation
+   */
+  _regexText : function(regexSpec) {
+    return '/' + regexSpec[0] + '/' + (regexSpec[1] || '');
+  },
+
+  /**
+   * Strips an entry of what the background keeps track of itself, leaving an
+   * AddTamperCmd.
+   * @private
+   * @param  {Object} entry as listed by the background
+   * @return {AddTamperCmd}
+   */
+  _toRule : function(entry) {
+    var rule = Object.assign({}, entry);
+    [ 'id', 'tabId', 'frameId', 'ruleSet', 'origin' ].forEach(
+        (key) => delete rule[key]);
+    return rule;
+  },
+
+  /**
+   * @private
+   * @return {AddTamperCmd} what the editor starts with when adding a rule.
+   * It has no 'regexes', since even an empty list of them would be used
+   * instead of 'urls'.
+   */
+  _ruleTemplate : function() {
+    return {
+      urls : [],
+      tamper : {headers : {}, remove : []},
+      priority : 0,
+      merge : false
+    };
+  },
+
+  /**
+   * @private
+   * @param  {AddTamperCmd} rule
+   * @return {Promise}
+   */
+  _addRule : function(rule) {
+    var params = Object.assign({}, rule);
+    if (params.scope !== 'global') {
+      // registered as if by the main frame of the current tab.
+      params.tabId = TamperPopup.tabId;
+    }
+    return TamperPopup._do('MetaTamper', params);
+  },
+
+  /**
+   * @private
+   * @param  {Number} id
+   * @param  {Object} changes
+   */
+  _update : function(id, changes) {
+    TamperPopup._do('UpdateMetaTamper', {id : id, changes : changes})
+        .then(TamperPopup.refresh)
+        .catch((e) => TamperPopup.showStatus(e.message, true));
+  },
+
+  /**
+   * @private
+   */
+  _button : function(label, disabled, onClick) {
+    var button = document.createElement('button');
+    button.textContent = label;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+  },
+
+  /**
+   * @private
+   */
+  _byId : function(id) { return document.getElementById(id); },
+};
+
+document.addEventListener('DOMContentLoaded', TamperPopup.init);
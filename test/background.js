@@ -0,0 +1,158 @@
+/**
+ * Checks of the background page, for regressions which have bitten before.
+ *
+ * Usage: node test/background.js
+ *
+ * Each check runs a background page of its own, as by test/load.js, and
+ * plays the webRequest events of requests to it. The exit code is the number
+ * of checks which failed.
+ */
+
+"use strict";
+
+var assert = require("assert");
+var loadBackground = require("./load").loadBackground;
+
+var checks = [];
+
+/**
+ * @param  {String} name
+ * @param  {Function} fn called with a background page, throwing if the check
+ * fails
+ */
+function check(name, fn) { checks.push({name : name, fn : fn}); }
+
+/**
+ * Plays the webRequest events of a request which succeeds, following the
+ * redirects the listeners make.
+ * @param  {Object} background as returned by loadBackground()
+ * @param  {Object} details webRequest details, with 'url' where the request
+ * starts
+ * @return {Object} the details of the request as it reached the server,
+ * with its 'requestHeaders'
+ */
+function playRequest(background, details) {
+  var webRequest = background.chrome.webRequest;
+  details = Object.assign(
+      {tabId : 1, frameId : 0, method : "GET", type : "xmlhttprequest"},
+      details);
+  for (;;) {
+    var blocking = webRequest.onBeforeRequest.fire(details)[0];
+    if (!blocking || !blocking.redirectUrl) {
+      break;
+    }
+    webRequest.onBeforeRedirect.fire(
+        Object.assign({}, details, {redirectUrl : blocking.redirectUrl}));
+    details = Object.assign({}, details, {url : blocking.redirectUrl});
+  }
+  details.requestHeaders = [];
+  var sent = webRequest.onBeforeSendHeaders.fire(details)[0];
+  if (sent && sent.requestHeaders) {
+    details.requestHeaders = sent.requestHeaders;
+  }
+  var response =
+      Object.assign({}, details, {statusCode : 200, responseHeaders : []});
+  webRequest.onHeadersReceived.fire(response);
+  webRequest.onCompleted.fire(response);
+  return details;
+}
+
+check("an entry redirecting runs out after opts.times", (background) => {
+  var tamperState = background.tamperState;
+  tamperState.addPattern({
+    urls : [ "https://cdn.example.com/app.js" ],
+    scope : "global",
+    tamper : {redirect : "http://localhost/app.js", opts : {times : 1}}
+  });
+  var urls = [ "1", "2", "3" ].map(
+      (requestId) => playRequest(background, {
+                       requestId : requestId,
+                       url : "https://cdn.example.com/app.js"
+                     }).url);
+  assert.deepStrictEqual(urls, [
+    "http://localhost/app.js", "https://cdn.example.com/app.js",
+    "https://cdn.example.com/app.js"
+  ]);
+  assert.strictEqual(tamperState.listPatterns().length, 0);
+});
+
+check("a redirect applies the entry to that request only", (background) => {
+  var tamperState = background.tamperState;
+  var id = tamperState.addPattern({
+    urls : [ "https://cdn.example.com/app.js" ],
+    scope : "global",
+    tamper : {redirect : "http://localhost/app.js", headers : {"X-A" : "1"}}
+  });
+  var sent = playRequest(background, {
+    requestId : "1",
+    url : "https://cdn.example.com/app.js"
+  });
+  assert.strictEqual(sent.url, "http://localhost/app.js");
+  assert.strictEqual(JSON.stringify(sent.requestHeaders),
+                     JSON.stringify([ {name : "X-A", value : "1"} ]));
+  assert.strictEqual(Object.keys(tamperState._data).length, 0);
+  tamperState.removePattern(id);
+  sent = playRequest(background,
+                     {requestId : "2", url : "http://localhost/app.js"});
+  assert.strictEqual(sent.requestHeaders.length, 0);
+});
+
+check("a redirect not followed leaves the rest alone", (background) => {
+  var webRequest = background.chrome.webRequest;
+  background.tamperState.addPattern({
+    regexes : [ [ "^https://example\\.com/" ] ],
+    scope : "global",
+    tamper : {headers : {"X-A" : "1"}, opts : {followRedirects : false}}
+  });
+  var details = {
+    requestId : "1",
+    tabId : 1,
+    frameId : 0,
+    method : "GET",
+    type : "xmlhttprequest",
+    url : "https://example.com/old"
+  };
+  webRequest.onBeforeRequest.fire(details);
+  webRequest.onBeforeSendHeaders.fire(
+      Object.assign({requestHeaders : []}, details));
+  webRequest.onBeforeRedirect.fire(Object.assign(
+      {redirectUrl : "https://example.com/new", statusCode : 302}, details));
+  var sent = playRequest(background, Object.assign(
+      {}, details, {url : "https://example.com/new"}));
+  assert.strictEqual(sent.requestHeaders.length, 0);
+});
+
+check("entries are indexed by the hosts regexes can match", (background) => {
+  var hosts = {
+    "^https?://example\\.com/" : "example.com",
+    "^(?:http|ws)s?://API\\.example\\.com:8080/" : "api.example.com",
+    "^https://example\\.com/|^https://x\\.com/" : "",
+    "^(?:https://example\\.com/|https://x\\.com/)" : "",
+    "^https://(?:www\\.)?example\\.com/" : "",
+    "/api/" : ""
+  };
+  for (var source in hosts) {
+    assert.strictEqual(background.regexHost([ source ]), hosts[source],
+                       source);
+  }
+  var tamperState = background.tamperState;
+  tamperState.addPattern({
+    regexes : [ [ "^(?:https://example\\.com/|https://x\\.com/)" ] ],
+    scope : "global",
+    tamper : {headers : {"X-A" : "1"}}
+  });
+  [ "https://example.com/", "https://x.com/" ].forEach(
+      (url) => assert.notStrictEqual(tamperState.get(1, 0, url), null, url));
+});
+
+var failed = 0;
+checks.forEach((entry) => {
+  try {
+    entry.fn(loadBackground());
+    console.log("ok - " + entry.name);
+  } catch (e) {
+    failed++;
+    console.log("not ok - " + entry.name + "\n" + e.stack);
+  }
+});
+process.exit(failed);
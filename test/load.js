@@ -0,0 +1,107 @@
+/**
+ * Runs the background page in a vm context, under a stub of the chrome.* api
+ * which does nothing but take listeners, for the checks and benchmarks run
+ * with node.
+ */
+
+"use strict";
+
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+var extDir = path.join(__dirname, "..", "ext");
+
+/**
+ * @return {Object} a stub of a chrome.events.Event, whose listeners are
+ * called by fire(), which returns what they return.
+ */
+function stubEvent() {
+  var listeners = [];
+  return {
+    addListener : (listener) => listeners.push(listener),
+    removeListener : (listener) => {
+      var index = listeners.indexOf(listener);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    },
+    fire : (...args) => listeners.map((listener) => listener(...args))
+  };
+}
+
+/**
+ * @return {Object} a stub of the parts of chrome.* the background page uses
+ */
+function stubChrome() {
+  var storageArea = {
+    get : (keys, callback) => setTimeout(() => callback({})),
+    set : (items, callback) => callback && setTimeout(callback),
+    remove : (keys, callback) => callback && setTimeout(callback)
+  };
+  var webRequest = {};
+  [ "onBeforeRequest", "onBeforeSendHeaders", "onSendHeaders",
+    "onHeadersReceived", "onAuthRequired", "onBeforeRedirect",
+    "onResponseStarted", "onCompleted", "onErrorOccurred" ]
+      .forEach((name) => { webRequest[name] = stubEvent(); });
+  return {
+    runtime : {
+      id : "stub",
+      lastError : null,
+      getURL : (file) => "chrome-extension://stub/" + file,
+      getManifest : () => ({manifest_version : 2, version : "0"}),
+      onMessage : stubEvent(),
+      onConnect : stubEvent(),
+      onStartup : stubEvent(),
+      onInstalled : stubEvent()
+    },
+    webRequest : webRequest,
+    webNavigation : {onCommitted : stubEvent()},
+    tabs : {
+      onRemoved : stubEvent(),
+      onUpdated : stubEvent(),
+      get : (tabId, callback) => callback({id : tabId}),
+      query : (query, callback) => callback([]),
+      sendMessage : (tabId, message, callback) => callback && callback()
+    },
+    storage : {local : storageArea},
+    notifications : {
+      create : () => {},
+      clear : () => {},
+      onButtonClicked : stubEvent(),
+      onClosed : stubEvent()
+    },
+    windows : {create : () => {}}
+  };
+}
+
+/**
+ * @param  {String} [backgroundPath] the background.js to run, by default the
+ * one in ext.
+ * @return {Object} the global scope of the background page
+ */
+function loadBackground(backgroundPath) {
+  var context = {
+    chrome : stubChrome(),
+    console : console,
+    setTimeout : setTimeout,
+    clearTimeout : clearTimeout,
+    setInterval : setInterval,
+    clearInterval : clearInterval,
+    URL : URL,
+    URLSearchParams : URLSearchParams,
+    TextEncoder : TextEncoder,
+    TextDecoder : TextDecoder,
+    btoa : btoa,
+    atob : atob
+  };
+  context.self = context.window = context;
+  vm.createContext(context);
+  [ path.join(extDir, "compat.js"),
+    backgroundPath || path.join(extDir, "background.js") ]
+      .forEach((file) => vm.runInContext(fs.readFileSync(file, "utf8"),
+                                         context, {filename : file}));
+  return context;
+}
+
+module.exports = {loadBackground : loadBackground};